@@ -0,0 +1,125 @@
+/**
+ * adminRoutes.js
+ *
+ * Authenticated inbox API over the stored submissions:
+ *
+ *   GET    /submissions            list (filters: ?status=&formType=&cursor=&limit=)
+ *   GET    /submissions/:id        fetch one submission (with fresh attachment links and per-channel results)
+ *   PATCH  /submissions/:id        update the inbox status (new | replied | archived | spam)
+ *   DELETE /submissions/:id        remove a submission and its attachments
+ *
+ *   GET    /dead-letters                  list permanently failed delivery jobs
+ *   GET    /dead-letters/:id              inspect a failed job and its per-email results
+ *   POST   /dead-letters/:id/replay       re-enqueue the emails that did not go out
+ *   DELETE /dead-letters/:id              discard a failed job
+ */
+
+import { withDownloadLinks } from './attachments';
+import { deleteDeadLetter, getDeadLetter, listDeadLetters, replayDeadLetter } from './deliveryQueue';
+import { jsonResponse } from './http';
+import { SUBMISSION_STATUSES, deleteSubmission, getChannelStatus, getSubmission, listSubmissions, updateSubmission } from './submissionStore';
+
+const MAX_PAGE_SIZE = 1000;
+
+export async function handleAdminRequest(request, env, ctx) {
+	if (!env.SUBMISSIONS_KV) {
+		return jsonResponse({ error: 'Service unavailable', message: 'Submission storage is not configured' }, 503);
+	}
+
+	const url = new URL(request.url);
+	const [, resource, id, action] = url.pathname.split('/');
+
+	if (resource === 'dead-letters') {
+		return handleDeadLetterRequest(request, env, ctx, url, id, action);
+	}
+
+	if (!id) {
+		if (request.method !== 'GET') {
+			return jsonResponse({ error: 'Method not allowed', allowedMethods: ['GET'] }, 405);
+		}
+
+		const limit = Math.min(Number(url.searchParams.get('limit')) || 100, MAX_PAGE_SIZE);
+		const page = await listSubmissions(env, {
+			status: url.searchParams.get('status') || undefined,
+			formType: url.searchParams.get('formType') || undefined,
+			cursor: url.searchParams.get('cursor') || undefined,
+			limit,
+		});
+		return jsonResponse(page, 200);
+	}
+
+	switch (request.method) {
+		case 'GET': {
+			const record = await getSubmission(env, id);
+			if (!record) return notFound();
+
+			// Links in the notification expire, so hand out fresh ones
+			const [attachments, channels] = await Promise.all([withDownloadLinks(env, url.origin, record.attachments), getChannelStatus(env, id)]);
+			return jsonResponse({ ...record, attachments, channels }, 200);
+		}
+
+		case 'PATCH': {
+			let changes;
+			try {
+				changes = await request.json();
+			} catch (e) {
+				return jsonResponse({ error: 'Invalid JSON payload' }, 400);
+			}
+
+			if (!SUBMISSION_STATUSES.includes(changes?.status)) {
+				return jsonResponse(
+					{ error: 'Validation failed', details: [{ field: 'status', code: 'invalid_enum', message: `Status must be one of: ${SUBMISSION_STATUSES.join(', ')}` }] },
+					422
+				);
+			}
+
+			const record = await updateSubmission(env, id, { status: changes.status });
+			return record ? jsonResponse(record, 200) : notFound();
+		}
+
+		case 'DELETE': {
+			const deleted = await deleteSubmission(env, id);
+			return deleted ? new Response(null, { status: 204 }) : notFound();
+		}
+
+		default:
+			return jsonResponse({ error: 'Method not allowed', allowedMethods: ['GET', 'PATCH', 'DELETE'] }, 405);
+	}
+}
+
+async function handleDeadLetterRequest(request, env, ctx, url, id, action) {
+	if (!id) {
+		if (request.method !== 'GET') {
+			return jsonResponse({ error: 'Method not allowed', allowedMethods: ['GET'] }, 405);
+		}
+
+		const limit = Math.min(Number(url.searchParams.get('limit')) || 100, MAX_PAGE_SIZE);
+		return jsonResponse(await listDeadLetters(env, { cursor: url.searchParams.get('cursor') || undefined, limit }), 200);
+	}
+
+	if (action === 'replay') {
+		if (request.method !== 'POST') {
+			return jsonResponse({ error: 'Method not allowed', allowedMethods: ['POST'] }, 405);
+		}
+
+		const job = await replayDeadLetter(env, ctx, id);
+		return job ? jsonResponse({ success: true, id: job.id, submissionId: job.submissionId }, 202) : notFound('Dead letter');
+	}
+
+	switch (request.method) {
+		case 'GET': {
+			const job = await getDeadLetter(env, id);
+			return job ? jsonResponse(job, 200) : notFound('Dead letter');
+		}
+
+		case 'DELETE': {
+			const deleted = await deleteDeadLetter(env, id);
+			return deleted ? new Response(null, { status: 204 }) : notFound('Dead letter');
+		}
+
+		default:
+			return jsonResponse({ error: 'Method not allowed', allowedMethods: ['GET', 'DELETE'] }, 405);
+	}
+}
+
+const notFound = (what = 'Submission') => jsonResponse({ error: 'Not found', message: `${what} not found` }, 404);
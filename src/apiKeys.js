@@ -0,0 +1,152 @@
+/**
+ * apiKeys.js
+ *
+ * The API key store. Keys belong to a site (`apiKeys` in the site config) or
+ * are global and accepted for every site (`API_KEY`, and `API_KEYS` as a JSON
+ * array). A key is a plain string (unrestricted, never expires) or:
+ *
+ *   {
+ *     "id": "acme-web-2026",                  // shown in request logs; required for signed requests
+ *     "key": "...",                           // or "keyHash": hex SHA-256 of the key, so the config holds no secret
+ *     "secret": "...",                        // optional, HMAC secret for signed requests
+ *     "origins": ["https://acme.dev"],        // optional, browser requests must come from one of these
+ *     "formTypes": ["quote"],                 // optional, the form types the key may submit
+ *     "createdAt": "2026-01-01T00:00:00Z",    // optional, not valid before
+ *     "expiresAt": "2026-07-01T00:00:00Z"     // optional, not valid from
+ *   }
+ *
+ * To rotate without downtime, add the new key, ship it to the frontend, then
+ * give the old key an `expiresAt`; both work in between. Request logs carry
+ * `keyId`, so you can see when the old key stops being used.
+ *
+ * Server-to-server callers can sign requests instead of sending the key:
+ *
+ *   X-Key-Id: <id>
+ *   X-Signature-Timestamp: <unix seconds>
+ *   X-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>\n<METHOD>\n<path and query>\n" + raw body, keyed by `secret`>
+ *
+ * Signatures older or newer than `SIGNATURE_TOLERANCE` seconds (default 300)
+ * are refused, and so is a signature already seen inside that window (best
+ * effort, via `SUBMISSIONS_KV`). A key with a `secret` and no `key` can only
+ * be used for signed requests.
+ */
+
+import { timingSafeEqual } from './auth';
+import { log } from './logger';
+import { sha256Hex, signHex } from './signing';
+import { KV_MIN_TTL } from './submissionStore';
+
+const DEFAULT_TOLERANCE = 300;
+const NONCE_PREFIX = 'signature:';
+
+const encoder = new TextEncoder();
+
+const normalizeKey = (entry) =>
+	typeof entry === 'string'
+		? { id: null, key: entry, origins: [], formTypes: [] }
+		: { ...entry, id: entry.id || null, origins: entry.origins || [], formTypes: entry.formTypes || [] };
+
+/**
+ * Normalizes a list of configured keys (strings or objects).
+ */
+export function normalizeApiKeys(keys) {
+	return Array.isArray(keys) ? keys.filter(Boolean).map(normalizeKey) : [];
+}
+
+// `API_KEYS` as last parsed, so the JSON is parsed (and an invalid value reported) once per isolate
+let parsedKeys = { source: undefined, keys: [] };
+
+function parseKeyList(source) {
+	if (typeof source !== 'string') return Array.isArray(source) ? source : [];
+	if (source !== parsedKeys.source) {
+		let keys = [];
+		try {
+			keys = JSON.parse(source);
+			if (!Array.isArray(keys)) throw new TypeError('API_KEYS must be a JSON array');
+		} catch (err) {
+			log.error('Invalid API_KEYS, ignoring', { err });
+			keys = [];
+		}
+		parsedKeys = { source, keys };
+	}
+	return parsedKeys.keys;
+}
+
+/**
+ * The keys accepted for every site: `API_KEY` and the `API_KEYS` JSON array.
+ */
+export function getGlobalKeys(env) {
+	return normalizeApiKeys([...(env.API_KEY ? [{ id: 'API_KEY', key: env.API_KEY }] : []), ...parseKeyList(env.API_KEYS)]);
+}
+
+/**
+ * Finds the key matching the presented one. Every key is compared in constant
+ * time, and all of them are, so the timing reveals neither which key matched
+ * nor how much of it.
+ *
+ * @returns {Promise<object|null>}
+ */
+export async function findApiKey(keys, presented) {
+	if (typeof presented !== 'string' || !presented) return null;
+
+	const presentedHash = keys.some((entry) => entry.keyHash) ? await sha256Hex(presented) : null;
+	let found = null;
+	for (const entry of keys) {
+		const matches = entry.keyHash
+			? timingSafeEqual(String(entry.keyHash).toLowerCase(), presentedHash)
+			: timingSafeEqual(entry.key, presented);
+		if (matches && !found) found = entry;
+	}
+	return found;
+}
+
+/**
+ * Finds the signing key with the given id.
+ */
+export const findSigningKey = (keys, id) => (id ? keys.find((entry) => entry.id === id && entry.secret) || null : null);
+
+/**
+ * 'active', 'not_yet_valid' or 'expired', from the key's `createdAt` and `expiresAt`.
+ */
+export function keyStatus(entry, now = Date.now()) {
+	if (entry.createdAt && now < Date.parse(entry.createdAt)) return 'not_yet_valid';
+	if (entry.expiresAt && now >= Date.parse(entry.expiresAt)) return 'expired';
+	return 'active';
+}
+
+export const keyAllowsFormType = (entry, formType) => entry.formTypes.length === 0 || entry.formTypes.includes(formType);
+
+/**
+ * Checks the timestamp, signature and replay window of a signed request.
+ *
+ * @returns {Promise<{ valid: true } | { valid: false, code: string, message: string }>}
+ */
+export async function verifyRequestSignature(env, request, entry) {
+	const tolerance = Number(env.SIGNATURE_TOLERANCE) || DEFAULT_TOLERANCE;
+	const timestamp = request.headers.get('X-Signature-Timestamp');
+	if (!/^\d+$/.test(timestamp || '') || Math.abs(Date.now() / 1000 - Number(timestamp)) > tolerance) {
+		return { valid: false, code: 'stale_signature', message: 'Signature timestamp is missing or outside the allowed window' };
+	}
+
+	// The signature covers the raw bytes; the handler still reads the original body
+	const url = new URL(request.url);
+	const body = new Uint8Array(await request.clone().arrayBuffer());
+	const prefix = encoder.encode(`${timestamp}\n${request.method}\n${url.pathname}${url.search}\n`);
+	const payload = new Uint8Array(prefix.length + body.length);
+	payload.set(prefix);
+	payload.set(body, prefix.length);
+
+	const signature = request.headers.get('X-Signature');
+	if (!timingSafeEqual(`sha256=${await signHex(entry.secret, payload)}`, signature)) {
+		return { valid: false, code: 'invalid_signature', message: 'Request signature does not match' };
+	}
+
+	if (env.SUBMISSIONS_KV) {
+		const nonce = NONCE_PREFIX + signature.slice('sha256='.length);
+		if (await env.SUBMISSIONS_KV.get(nonce)) {
+			return { valid: false, code: 'replayed_request', message: 'This signed request was already received' };
+		}
+		await env.SUBMISSIONS_KV.put(nonce, '1', { expirationTtl: Math.max(tolerance * 2, KV_MIN_TTL) });
+	}
+	return { valid: true };
+}
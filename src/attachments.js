@@ -0,0 +1,197 @@
+/**
+ * attachments.js
+ *
+ * File uploads on multipart submissions. A form schema opts in with
+ * `attachments: { maxFiles, maxSize, types }`; each file's declared MIME type
+ * must be allowed *and* match its magic bytes. Accepted files are stored in the
+ * `ATTACHMENTS_BUCKET` R2 binding under `attachments/<submissionId>/<n>-<name>`
+ * and linked from the admin notification through signed `GET /attachments/...`
+ * URLs that expire after `ATTACHMENT_LINK_TTL` seconds (default 24 hours).
+ *
+ * With `ATTACHMENT_DELIVERY=inline` the files are also attached to the
+ * notification email, as long as their total size stays under
+ * `ATTACHMENT_INLINE_MAX_BYTES` (default 10 MB).
+ */
+
+import { jsonResponse } from './http';
+import { log } from './logger';
+import { signUrl, verifySignedUrl } from './signing';
+
+export const MB = 1024 * 1024;
+export const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const DEFAULT_LINK_TTL = 24 * 60 * 60;
+const DEFAULT_INLINE_MAX_BYTES = 10 * MB;
+
+// Leading bytes for each supported type (DOCX is a zip container)
+const SIGNATURES = {
+	'application/pdf': [[0x25, 0x50, 0x44, 0x46, 0x2d]],
+	'application/msword': [[0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]],
+	[DOCX]: [[0x50, 0x4b, 0x03, 0x04]],
+	'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+	'image/jpeg': [[0xff, 0xd8, 0xff]],
+	'image/gif': [
+		[0x47, 0x49, 0x46, 0x38, 0x37, 0x61],
+		[0x47, 0x49, 0x46, 0x38, 0x39, 0x61],
+	],
+};
+
+/**
+ * Returns true if the file's leading bytes match the given MIME type. Plain
+ * text has no signature, so it only has to be free of NUL bytes.
+ */
+export async function matchesMagicBytes(file, type) {
+	if (type === 'text/plain') {
+		return !new Uint8Array(await file.slice(0, 4096).arrayBuffer()).includes(0);
+	}
+
+	const head = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+	return (SIGNATURES[type] || []).some((signature) => signature.every((byte, i) => head[i] === byte));
+}
+
+/**
+ * Checks uploaded files against a schema's attachment rules.
+ *
+ * @param {{ maxFiles: number, maxSize: number, types: string[] }|null} rules - null when attachments are not accepted
+ * @param {{ field: string, file: File }[]} files
+ * @returns {Promise<{ field: string, code: string, message: string }[]>}
+ */
+export async function validateAttachments(rules, files) {
+	if (files.length === 0) return [];
+	if (!rules) {
+		return [{ field: files[0].field, code: 'attachments_not_allowed', message: 'This form does not accept attachments' }];
+	}
+	if (files.length > rules.maxFiles) {
+		return [{ field: files[0].field, code: 'too_many_files', message: `At most ${rules.maxFiles} file(s) can be attached` }];
+	}
+
+	const errors = [];
+	for (const { field, file } of files) {
+		if (file.size > rules.maxSize) {
+			errors.push({ field, code: 'file_too_large', message: `${file.name} is larger than ${formatBytes(rules.maxSize)}` });
+		} else if (!rules.types.includes(file.type)) {
+			errors.push({ field, code: 'invalid_file_type', message: `${file.name} must be one of: ${rules.types.join(', ')}` });
+		} else if (!(await matchesMagicBytes(file, file.type))) {
+			errors.push({ field, code: 'file_type_mismatch', message: `${file.name} does not match its declared type (${file.type})` });
+		}
+	}
+	return errors;
+}
+
+const safeFilename = (name) => (name || 'attachment').replace(/[^\w.-]+/g, '_').slice(-100);
+
+/**
+ * Stores validated files in R2 and returns the references kept on the submission.
+ *
+ * @returns {Promise<{ key: string, field: string, filename: string, contentType: string, size: number }[]>}
+ */
+export async function storeAttachments(env, submissionId, files) {
+	return Promise.all(
+		files.map(async ({ field, file }, index) => {
+			const filename = safeFilename(file.name);
+			const key = `attachments/${submissionId}/${index + 1}-${filename}`;
+			await env.ATTACHMENTS_BUCKET.put(key, file, {
+				httpMetadata: { contentType: file.type },
+				customMetadata: { submissionId, field, filename },
+			});
+			return { key, field, filename, contentType: file.type, size: file.size };
+		})
+	);
+}
+
+export async function deleteAttachments(env, refs = []) {
+	if (!env.ATTACHMENTS_BUCKET || refs.length === 0) return;
+	await env.ATTACHMENTS_BUCKET.delete(refs.map((ref) => ref.key));
+}
+
+/**
+ * Adds a signed, short-lived download `url` to each reference (null when
+ * `SIGNING_SECRET` is not set).
+ *
+ * @param {object} env
+ * @param {string} baseUrl - the worker's own origin
+ * @param {object[]} refs
+ */
+export async function withDownloadLinks(env, baseUrl, refs = []) {
+	const ttl = Number(env.ATTACHMENT_LINK_TTL) || DEFAULT_LINK_TTL;
+	return Promise.all(
+		refs.map(async (ref) => ({
+			...ref,
+			sizeLabel: formatBytes(ref.size),
+			url: env.SIGNING_SECRET ? await signUrl(env.SIGNING_SECRET, new URL(`/${ref.key}`, baseUrl), ttl) : null,
+		}))
+	);
+}
+
+/**
+ * Returns the references to attach to the notification email, or an empty
+ * list when inline delivery is off or the files are too large.
+ */
+export function inlineAttachmentRefs(env, refs = []) {
+	if (env.ATTACHMENT_DELIVERY !== 'inline' || refs.length === 0) return [];
+
+	const total = refs.reduce((sum, ref) => sum + ref.size, 0);
+	if (total > (Number(env.ATTACHMENT_INLINE_MAX_BYTES) || DEFAULT_INLINE_MAX_BYTES)) return [];
+	return refs.map(({ key, filename, contentType }) => ({ key, filename, contentType }));
+}
+
+export const bytesToBase64 = (bytes) => {
+	let binary = '';
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+	}
+	return btoa(binary);
+};
+
+/**
+ * Loads inline attachment references from R2 as base64 content for the
+ * email providers. References that already carry `content` (such as calendar
+ * invites) are passed through; missing objects are skipped.
+ *
+ * @returns {Promise<{ filename: string, contentType: string, content: string }[]>}
+ */
+export async function loadAttachmentContents(env, refs) {
+	const loaded = await Promise.all(
+		refs.map(async ({ key, filename, contentType, content }) => {
+			if (content) return { filename, contentType, content };
+			if (!env.ATTACHMENTS_BUCKET) return null;
+
+			const object = await env.ATTACHMENTS_BUCKET.get(key);
+			if (!object) {
+				log.warn('Attachment is missing from the bucket', { key });
+				return null;
+			}
+			return { filename, contentType, content: bytesToBase64(new Uint8Array(await object.arrayBuffer())) };
+		})
+	);
+	return loaded.filter(Boolean);
+}
+
+/**
+ * Serves `GET /attachments/<submissionId>/<file>` for a valid signed link.
+ */
+export async function handleAttachmentDownload(request, env) {
+	if (!env.ATTACHMENTS_BUCKET || !(await verifySignedUrl(env.SIGNING_SECRET, request.url))) {
+		return jsonResponse({ error: 'Forbidden', message: 'Invalid or expired link' }, 403);
+	}
+
+	const object = await env.ATTACHMENTS_BUCKET.get(new URL(request.url).pathname.slice(1));
+	if (!object) {
+		return jsonResponse({ error: 'Not found', message: 'Attachment not found' }, 404);
+	}
+
+	return new Response(object.body, {
+		headers: {
+			'Content-Type': object.httpMetadata?.contentType || 'application/octet-stream',
+			'Content-Disposition': `attachment; filename="${object.customMetadata?.filename || 'attachment'}"`,
+			'Cache-Control': 'private, no-store',
+			'X-Content-Type-Options': 'nosniff',
+		},
+	});
+}
+
+export function formatBytes(size) {
+	if (size < 1024) return `${size} B`;
+	if (size < MB) return `${Math.round(size / 1024)} KB`;
+	return `${(size / MB).toFixed(1)} MB`;
+}
@@ -0,0 +1,36 @@
+/**
+ * auth.js
+ *
+ * Credential checks. The public `X-API-Key` used by the contact forms and the
+ * admin credential (`ADMIN_API_KEY`, sent as `Authorization: Bearer <key>`)
+ * are deliberately separate so a key shipped in frontend code never grants
+ * access to stored submissions.
+ */
+
+/**
+ * Compares two strings in constant time relative to their contents.
+ */
+export function timingSafeEqual(a, b) {
+	if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+	const encoder = new TextEncoder();
+	const left = encoder.encode(a);
+	const right = encoder.encode(b);
+
+	let diff = left.length ^ right.length;
+	for (let i = 0; i < left.length; i++) {
+		diff |= left[i] ^ (right[i % right.length] || 0);
+	}
+	return diff === 0;
+}
+
+/**
+ * Returns true if the request carries the admin bearer token.
+ */
+export function isAdminRequest(request, env) {
+	if (!env.ADMIN_API_KEY) return false;
+
+	const header = request.headers.get('Authorization') || '';
+	const [scheme, token] = header.split(' ');
+	return scheme === 'Bearer' && timingSafeEqual(token, env.ADMIN_API_KEY);
+}
@@ -0,0 +1,78 @@
+/**
+ * calendar.js
+ *
+ * Minimal RFC 5545 (iCalendar) writer for interview invites: one VEVENT per
+ * slot, UTC times, escaped text and folded lines.
+ */
+
+const escapeText = (value) =>
+	String(value ?? '')
+		.replace(/\\/g, '\\\\')
+		.replace(/;/g, '\\;')
+		.replace(/,/g, '\\,')
+		.replace(/\r?\n/g, '\\n');
+
+const formatUtc = (date) =>
+	date
+		.toISOString()
+		.replace(/[-:]/g, '')
+		.replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded with CRLF + space (RFC 5545 §3.1)
+function foldLine(line) {
+	const encoder = new TextEncoder();
+	if (encoder.encode(line).length <= 75) return line;
+
+	const chunks = [];
+	let current = '';
+	for (const char of line) {
+		if (encoder.encode(current + char).length > (chunks.length ? 74 : 75)) {
+			chunks.push(current);
+			current = '';
+		}
+		current += char;
+	}
+	chunks.push(current);
+	return chunks.join('\r\n ');
+}
+
+const address = (property, { email, name }) => `${property}${name ? `;CN=${escapeText(name).replace(/"/g, '')}` : ''}:mailto:${email}`;
+
+/**
+ * Builds an iCalendar document.
+ *
+ * @param {object} options
+ * @param {Array<{ uid: string, start: Date, end: Date, summary: string, description?: string, status?: string, sequence?: number }>} options.events
+ * @param {{ email: string, name?: string }} [options.organizer]
+ * @param {Array<{ email: string, name?: string }>} [options.attendees]
+ * @param {string} [options.method] - e.g. PUBLISH
+ * @returns {string}
+ */
+export function buildCalendar({ events, organizer, attendees = [], method = 'PUBLISH' }) {
+	const now = formatUtc(new Date());
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		'PRODID:-//contact-form-worker//Interview Scheduling//EN',
+		'CALSCALE:GREGORIAN',
+		`METHOD:${method}`,
+	];
+
+	for (const event of events) {
+		lines.push(
+			'BEGIN:VEVENT',
+			`UID:${event.uid}`,
+			`DTSTAMP:${now}`,
+			`DTSTART:${formatUtc(event.start)}`,
+			`DTEND:${formatUtc(event.end)}`,
+			`SUMMARY:${escapeText(event.summary)}`
+		);
+		if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+		if (organizer) lines.push(address('ORGANIZER', organizer));
+		for (const attendee of attendees) lines.push(address('ATTENDEE;ROLE=REQ-PARTICIPANT', attendee));
+		lines.push(`STATUS:${event.status || 'TENTATIVE'}`, `SEQUENCE:${event.sequence || 0}`, 'END:VEVENT');
+	}
+
+	lines.push('END:VCALENDAR');
+	return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,111 @@
+/**
+ * deduplication.js
+ *
+ * Keeps double-clicks and retries from sending the same emails twice.
+ *
+ *  - Idempotency keys: a client that sends `Idempotency-Key` gets the stored
+ *    response of its accepted request for every repeat within
+ *    `IDEMPOTENCY_TTL` seconds (default 24 hours), and nothing is processed
+ *    again. Rejected requests release the key. Keys are scoped to the site
+ *    and API key. A repeat that arrives while the first request is still
+ *    running gets a 409.
+ *  - Content hashes: a submission with the same form type, reply-to email
+ *    and normalised fields as one accepted within `DEDUPE_WINDOW_MINUTES`
+ *    (default 10, 0 turns it off) is stored with status `duplicate` and
+ *    `duplicateOf` set, and no notification, auto-reply or channel goes out
+ *    for it.
+ *
+ * Both live in `SUBMISSIONS_KV` and are best effort: KV is eventually
+ * consistent, so two requests in the same instant can both get through.
+ */
+
+import { sha256Hex } from './signing';
+import { KV_MIN_TTL } from './submissionStore';
+
+const IDEMPOTENCY_PREFIX = 'idempotency:';
+const DEDUPE_PREFIX = 'dedupe:';
+const DEFAULT_IDEMPOTENCY_TTL = 24 * 60 * 60;
+const DEFAULT_DEDUPE_WINDOW_MINUTES = 10;
+// Long enough for the slowest submission (attachments, providers) to finish
+const IN_PROGRESS_TTL = 60;
+
+const IDEMPOTENCY_KEY = /^[\x21-\x7e]{1,255}$/;
+
+// `DEDUPE_WINDOW_MINUTES=0` turns content deduplication off
+const dedupeWindowMinutes = (env) => {
+	const minutes = Number(env.DEDUPE_WINDOW_MINUTES ?? DEFAULT_DEDUPE_WINDOW_MINUTES);
+	return Number.isFinite(minutes) && minutes > 0 ? minutes : 0;
+};
+
+export const isValidIdempotencyKey = (value) => IDEMPOTENCY_KEY.test(value);
+
+const idempotencyStoreKey = async (scope, key) => `${IDEMPOTENCY_PREFIX}${await sha256Hex(`${scope}:${key}`)}`;
+
+/**
+ * Returns what is stored for an idempotency key: `{ state: 'in_progress' }`,
+ * `{ state: 'done', status, body, formType }` or null.
+ */
+export async function getIdempotentResult(env, scope, key) {
+	return env.SUBMISSIONS_KV.get(await idempotencyStoreKey(scope, key), { type: 'json' });
+}
+
+/**
+ * Claims an idempotency key while its first request runs.
+ */
+export async function markIdempotencyInProgress(env, scope, key) {
+	await env.SUBMISSIONS_KV.put(await idempotencyStoreKey(scope, key), JSON.stringify({ state: 'in_progress' }), {
+		expirationTtl: IN_PROGRESS_TTL,
+	});
+}
+
+/**
+ * Stores the accepted response for an idempotency key, or releases the key
+ * when `result` is null (the request was rejected or failed).
+ *
+ * @param {{ status: number, body: string, formType?: string } | null} result
+ */
+export async function saveIdempotentResult(env, scope, key, result) {
+	const storeKey = await idempotencyStoreKey(scope, key);
+	if (!result) {
+		await env.SUBMISSIONS_KV.delete(storeKey);
+		return;
+	}
+	const ttl = Math.max(Number(env.IDEMPOTENCY_TTL) || DEFAULT_IDEMPOTENCY_TTL, KV_MIN_TTL);
+	await env.SUBMISSIONS_KV.put(storeKey, JSON.stringify({ state: 'done', ...result }), { expirationTtl: ttl });
+}
+
+const normalizeValue = (value) => (typeof value === 'string' ? value.trim().replace(/\s+/g, ' ').toLowerCase() : value);
+
+/**
+ * Hash of what makes two submissions "the same": site, form type, reply-to
+ * email, the fields (trimmed, whitespace collapsed, case-insensitive, in key
+ * order) and the names and sizes of any files.
+ *
+ * @param {{ siteId: string, formType: string, email?: string, values: object, files?: { field: string, file: File }[] }} submission
+ */
+export async function contentFingerprint({ siteId, formType, email, values, files = [] }) {
+	const fields = Object.keys(values)
+		.sort()
+		.filter((name) => values[name] !== undefined && values[name] !== '')
+		.map((name) => [name, normalizeValue(values[name])]);
+	const attachments = files.map(({ file }) => [file.name, file.size]).sort();
+	return sha256Hex(JSON.stringify([siteId, formType, normalizeValue(email || ''), fields, attachments]));
+}
+
+/**
+ * Returns the id of an earlier submission with the same fingerprint inside
+ * the window, or null.
+ */
+export async function findDuplicate(env, fingerprint) {
+	if (!env.SUBMISSIONS_KV || !dedupeWindowMinutes(env)) return null;
+	return env.SUBMISSIONS_KV.get(DEDUPE_PREFIX + fingerprint);
+}
+
+/**
+ * Remembers an accepted submission's fingerprint for the dedupe window.
+ */
+export async function rememberSubmission(env, fingerprint, submissionId) {
+	const minutes = dedupeWindowMinutes(env);
+	if (!env.SUBMISSIONS_KV || !minutes) return;
+	await env.SUBMISSIONS_KV.put(DEDUPE_PREFIX + fingerprint, submissionId, { expirationTtl: Math.max(minutes * 60, KV_MIN_TTL) });
+}
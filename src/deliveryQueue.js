@@ -0,0 +1,207 @@
+/**
+ * deliveryQueue.js
+ *
+ * Asynchronous email delivery. The fetch handler enqueues a delivery job on
+ * the `DELIVERY_QUEUE` producer binding and answers immediately; the queue
+ * consumer sends each email (notification and auto-reply are tracked
+ * separately), re-enqueues the still-pending ones with exponential backoff on
+ * retryable failures, and parks jobs that fail permanently or exhaust their
+ * attempts in a dead-letter list (`dead_letter:<jobId>` in `SUBMISSIONS_KV`)
+ * that admins can inspect and replay.
+ *
+ * Without a queue binding the job runs once via `ctx.waitUntil` and goes
+ * straight to the dead-letter list if it fails.
+ *
+ * Job shape:
+ *   { id, submissionId, attempt, emails: { notification, autoReply }, results: { notification, autoReply }, tracked }
+ *
+ * Only tracked jobs (the notification and auto-reply) set the submission's
+ * overall `delivery.status`. Side emails such as the confirmation link or an
+ * interview reply are created with `tracked: false` and only add their
+ * per-email result to `delivery.emails`.
+ *
+ * The same queue also carries chat/webhook channel jobs (`kind: 'channels'`),
+ * which are handled by `notificationChannels.js`.
+ */
+
+import { deliverEmail } from './emailProviders';
+import { log } from './logger';
+import { recordMetrics } from './metrics';
+import { processChannelJob } from './notificationChannels';
+import { setDeliveryStatus, setEmailStatus } from './submissionStore';
+
+const DEAD_LETTER_PREFIX = 'dead_letter:';
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_DELAY_SECONDS = 30;
+const MAX_DELAY_SECONDS = 60 * 60;
+
+/**
+ * Exponential backoff for the given (1-based) attempt number.
+ */
+export const backoffSeconds = (attempt) => Math.min(BASE_DELAY_SECONDS * 2 ** (attempt - 1), MAX_DELAY_SECONDS);
+
+/**
+ * @param {string} submissionId
+ * @param {Object<string, object>} emails - messages by kind
+ * @param {{ tracked?: boolean }} [options] - false for side emails that must not change `delivery.status`
+ */
+export function createDeliveryJob(submissionId, emails, { tracked = true } = {}) {
+	return {
+		id: crypto.randomUUID(),
+		submissionId,
+		attempt: 1,
+		emails,
+		results: Object.fromEntries(Object.keys(emails).map((kind) => [kind, null])),
+		tracked,
+	};
+}
+
+const processJob = (env, ctx, job) => (job.kind === 'channels' ? processChannelJob(env, ctx, job) : processDeliveryJob(env, ctx, job));
+
+/**
+ * Hands a job to the queue, or runs it in the background when no queue is bound.
+ */
+export async function enqueueDelivery(env, ctx, job, delaySeconds = 0) {
+	if (env.DELIVERY_QUEUE) {
+		try {
+			await env.DELIVERY_QUEUE.send(job, delaySeconds ? { delaySeconds } : undefined);
+			return;
+		} catch (err) {
+			log.error('Failed to enqueue delivery job, delivering inline', { jobId: job.id, submissionId: job.submissionId, err });
+		}
+	}
+	ctx.waitUntil(processJob(env, ctx, job));
+}
+
+
+const pendingKinds = (job) => Object.keys(job.emails).filter((kind) => !job.results[kind]?.ok);
+
+/**
+ * Attempts every email in the job that has not been delivered yet, then
+ * acknowledges, reschedules or dead-letters the job.
+ */
+export async function processDeliveryJob(env, ctx, job) {
+	const maxAttempts = Number(env.DELIVERY_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+	const kinds = pendingKinds(job);
+
+	const outcomes = await Promise.all(kinds.map((kind) => deliverEmail(env, job.emails[kind])));
+	const results = { ...job.results };
+	kinds.forEach((kind, i) => {
+		const { ok, provider, status, retryable, error } = outcomes[i];
+		results[kind] = { ok, provider, status, retryable, error, attempt: job.attempt, at: new Date().toISOString() };
+	});
+	const updated = { ...job, results };
+	await recordMetrics(
+		env,
+		outcomes.flatMap(({ attempts }) =>
+			attempts.map((attempt) => ({ metric: 'email', dimension: attempt.provider, outcome: attempt.ok ? 'sent' : 'failed' }))
+		)
+	);
+
+	log.info('Delivery attempt finished', {
+		jobId: job.id,
+		submissionId: job.submissionId,
+		attempt: job.attempt,
+		results: Object.fromEntries(
+			kinds.map((kind) => [kind, { ok: results[kind].ok, provider: results[kind].provider, status: results[kind].status }])
+		),
+	});
+
+	const failed = pendingKinds(updated);
+	if (failed.length === 0) {
+		await recordDelivery(env, updated, 'sent');
+		return;
+	}
+
+	const retryable = failed.every((kind) => updated.results[kind].retryable);
+	if (retryable && env.DELIVERY_QUEUE && job.attempt < maxAttempts) {
+		const delaySeconds = backoffSeconds(job.attempt);
+		await env.DELIVERY_QUEUE.send({ ...updated, attempt: job.attempt + 1 }, { delaySeconds });
+		await recordDelivery(env, updated, 'retrying', { nextAttemptInSeconds: delaySeconds });
+		return;
+	}
+
+	log.error('Delivery job failed permanently', { jobId: job.id, submissionId: job.submissionId, failed });
+	await saveDeadLetter(env, updated);
+	await recordDelivery(env, updated, 'failed');
+}
+
+async function recordDelivery(env, job, status, extra = {}) {
+	if (!env.SUBMISSIONS_KV || !job.submissionId) return;
+
+	const emails = Object.fromEntries(
+		Object.entries(job.results).map(([kind, result]) => [
+			kind,
+			result ? { status: result.ok ? 'sent' : 'failed', provider: result.provider, error: result.error, attempt: result.attempt } : { status: 'pending' },
+		])
+	);
+	// Jobs queued before `tracked` existed count as tracked
+	if (job.tracked === false) {
+		await setEmailStatus(env, job.submissionId, emails);
+		return;
+	}
+	await setDeliveryStatus(env, job.submissionId, status, { attempts: job.attempt, jobId: job.id, emails, ...extra });
+}
+
+/**
+ * Queue consumer entry point.
+ */
+export async function handleDeliveryBatch(batch, env, ctx) {
+	for (const message of batch.messages) {
+		try {
+			await processJob(env, ctx, message.body);
+			message.ack();
+		} catch (err) {
+			log.error('Delivery job crashed', { jobId: message.body?.id, submissionId: message.body?.submissionId, err });
+			message.retry({ delaySeconds: backoffSeconds(message.attempts) });
+		}
+	}
+}
+
+// --- Dead-letter store ---
+
+async function saveDeadLetter(env, job) {
+	if (!env.SUBMISSIONS_KV) return;
+
+	const failedAt = new Date().toISOString();
+	await env.SUBMISSIONS_KV.put(DEAD_LETTER_PREFIX + job.id, JSON.stringify({ ...job, failedAt }), {
+		metadata: { submissionId: job.submissionId, attempts: job.attempt, failedAt },
+	});
+}
+
+export async function listDeadLetters(env, { cursor, limit = 100 } = {}) {
+	const page = await env.SUBMISSIONS_KV.list({ prefix: DEAD_LETTER_PREFIX, cursor, limit });
+	return {
+		deadLetters: page.keys.map(({ name, metadata }) => ({ id: name.slice(DEAD_LETTER_PREFIX.length), ...metadata })),
+		cursor: page.list_complete ? null : page.cursor,
+	};
+}
+
+export async function getDeadLetter(env, id) {
+	const raw = await env.SUBMISSIONS_KV.get(DEAD_LETTER_PREFIX + id);
+	return raw ? JSON.parse(raw) : null;
+}
+
+export async function deleteDeadLetter(env, id) {
+	const job = await getDeadLetter(env, id);
+	if (!job) return false;
+
+	await env.SUBMISSIONS_KV.delete(DEAD_LETTER_PREFIX + id);
+	return true;
+}
+
+/**
+ * Re-enqueues a dead-lettered job with a fresh attempt budget. Emails that
+ * already went out are not sent again.
+ */
+export async function replayDeadLetter(env, ctx, id) {
+	const job = await getDeadLetter(env, id);
+	if (!job) return null;
+
+	const { failedAt, ...rest } = job;
+	const replayed = { ...rest, attempt: 1 };
+	await env.SUBMISSIONS_KV.delete(DEAD_LETTER_PREFIX + id);
+	await recordDelivery(env, replayed, 'pending');
+	await enqueueDelivery(env, ctx, replayed);
+	return replayed;
+}
@@ -0,0 +1,283 @@
+/**
+ * emailProviders.js
+ *
+ * Provider-agnostic email delivery. Every adapter takes the same normalized
+ * message and returns a normalized result:
+ *
+ *   message: { from: { email, name }, to: [{ email, name }], subject, html, text?, replyTo?, attachments? }
+ *   result:  { ok, provider, status, retryable, error? }
+ *
+ * `attachments` on a queued message are R2 references (`{ key, filename, contentType }`);
+ * `deliverEmail` loads them once and hands adapters `{ filename, contentType, content }`
+ * with base64 content. Every built-in adapter sends them as regular attachments.
+ *
+ * The active provider is chosen with `EMAIL_PROVIDER` (default `mailtrap`).
+ * `EMAIL_FALLBACK_PROVIDERS` is an optional comma-separated, ordered list of
+ * providers tried when the previous one returns a 5xx/429 or times out.
+ * Unknown provider names are logged and skipped; when none of the configured
+ * names is known, the email fails permanently and the job is dead-lettered.
+ */
+
+import { loadAttachmentContents } from './attachments';
+import { log } from './logger';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const formatAddress = ({ email, name }) => (name ? `${name.replace(/["<>]/g, '')} <${email}>` : email);
+
+const resultFromResponse = async (provider, response) => ({
+	ok: response.ok,
+	provider,
+	status: response.status,
+	retryable: response.status >= 500 || response.status === 429,
+	error: response.ok ? undefined : await response.text(),
+});
+
+async function postJson(env, url, headers, body) {
+	const controller = new AbortController();
+	const timer = setTimeout(() => controller.abort(), Number(env.EMAIL_PROVIDER_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS);
+	try {
+		return await fetch(url, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', ...headers },
+			body: JSON.stringify(body),
+			signal: controller.signal,
+		});
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
+const mailtrap = {
+	async send(env, message) {
+		const response = await postJson(
+			env,
+			'https://send.api.mailtrap.io/api/send',
+			{ Authorization: `Bearer ${env.MAILTRAP_TOKEN}` },
+			{
+				from: message.from,
+				to: message.to,
+				reply_to: message.replyTo,
+				subject: message.subject,
+				html: message.html,
+				text: message.text,
+				attachments: message.attachments?.map(({ filename, contentType, content }) => ({
+					filename,
+					type: contentType,
+					content,
+					disposition: 'attachment',
+				})),
+			}
+		);
+		return resultFromResponse('mailtrap', response);
+	},
+};
+
+const resend = {
+	async send(env, message) {
+		const response = await postJson(
+			env,
+			'https://api.resend.com/emails',
+			{ Authorization: `Bearer ${env.RESEND_API_KEY}` },
+			{
+				from: formatAddress(message.from),
+				to: message.to.map(formatAddress),
+				reply_to: message.replyTo ? formatAddress(message.replyTo) : undefined,
+				subject: message.subject,
+				html: message.html,
+				text: message.text,
+				attachments: message.attachments?.map(({ filename, contentType, content }) => ({ filename, content_type: contentType, content })),
+			}
+		);
+		return resultFromResponse('resend', response);
+	},
+};
+
+const sendgrid = {
+	async send(env, message) {
+		const content = [];
+		if (message.text) content.push({ type: 'text/plain', value: message.text });
+		content.push({ type: 'text/html', value: message.html });
+
+		const response = await postJson(
+			env,
+			'https://api.sendgrid.com/v3/mail/send',
+			{ Authorization: `Bearer ${env.SENDGRID_API_KEY}` },
+			{
+				personalizations: [{ to: message.to }],
+				from: message.from,
+				reply_to: message.replyTo,
+				subject: message.subject,
+				content,
+				attachments: message.attachments?.map(({ filename, contentType, content }) => ({
+					filename,
+					type: contentType,
+					content,
+					disposition: 'attachment',
+				})),
+			}
+		);
+		return resultFromResponse('sendgrid', response);
+	},
+};
+
+const postmark = {
+	async send(env, message) {
+		const response = await postJson(
+			env,
+			'https://api.postmarkapp.com/email',
+			{ Accept: 'application/json', 'X-Postmark-Server-Token': env.POSTMARK_SERVER_TOKEN },
+			{
+				From: formatAddress(message.from),
+				To: message.to.map(formatAddress).join(', '),
+				ReplyTo: message.replyTo ? formatAddress(message.replyTo) : undefined,
+				Subject: message.subject,
+				HtmlBody: message.html,
+				TextBody: message.text,
+				MessageStream: env.POSTMARK_MESSAGE_STREAM || 'outbound',
+				Attachments: message.attachments?.map(({ filename, contentType, content }) => ({ Name: filename, ContentType: contentType, Content: content })),
+			}
+		);
+		return resultFromResponse('postmark', response);
+	},
+};
+
+// --- Cloudflare Email Routing (`send_email` binding) ---
+
+const wrapBase64 = (base64) => base64.replace(/.{76}(?=.)/g, '$&\r\n');
+
+const encodeBase64 = (value) => {
+	const bytes = new TextEncoder().encode(value);
+	let binary = '';
+	for (const byte of bytes) binary += String.fromCharCode(byte);
+	return wrapBase64(btoa(binary));
+};
+
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${encodeBase64(value).replace(/\r\n/g, '')}?=`);
+
+const encodeMimeAddress = ({ email, name }) => (name ? `${encodeHeader(name.replace(/["<>]/g, ''))} <${email}>` : email);
+
+/**
+ * Builds a raw RFC 5322 message with an HTML part, a plain-text alternative
+ * when present, and any attachments in a multipart/mixed wrapper.
+ */
+export function buildMimeMessage(message, recipient) {
+	const domain = message.from.email.split('@')[1];
+	const headers = [
+		`From: ${encodeMimeAddress(message.from)}`,
+		`To: ${encodeMimeAddress(recipient)}`,
+		message.replyTo ? `Reply-To: ${encodeMimeAddress(message.replyTo)}` : null,
+		`Subject: ${encodeHeader(message.subject)}`,
+		`Message-ID: <${crypto.randomUUID()}@${domain}>`,
+		`Date: ${new Date().toUTCString()}`,
+		'MIME-Version: 1.0',
+	].filter(Boolean);
+
+	const part = (type, body) => [`Content-Type: ${type}; charset=UTF-8`, 'Content-Transfer-Encoding: base64', '', encodeBase64(body)].join('\r\n');
+
+	const multipart = (subtype, parts) => {
+		const boundary = `----=_Part_${crypto.randomUUID()}`;
+		return [
+			`Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+			'',
+			...parts.flatMap((body) => [`--${boundary}`, body]),
+			`--${boundary}--`,
+			'',
+		].join('\r\n');
+	};
+
+	const body = message.text
+		? multipart('alternative', [part('text/plain', message.text), part('text/html', message.html)])
+		: part('text/html', message.html);
+	if (!message.attachments?.length) {
+		return [...headers, body].join('\r\n');
+	}
+
+	const attachmentParts = message.attachments.map(({ filename, contentType, content }) =>
+		[
+			`Content-Type: ${contentType}; name="${encodeHeader(filename)}"`,
+			`Content-Disposition: attachment; filename="${encodeHeader(filename)}"`,
+			'Content-Transfer-Encoding: base64',
+			'',
+			wrapBase64(content),
+		].join('\r\n')
+	);
+	return [...headers, multipart('mixed', [body, ...attachmentParts])].join('\r\n');
+}
+
+const cloudflare = {
+	async send(env, message) {
+		if (!env.SEND_EMAIL) {
+			return { ok: false, provider: 'cloudflare', status: 500, retryable: false, error: 'SEND_EMAIL binding is not configured' };
+		}
+
+		const { EmailMessage } = await import('cloudflare:email');
+		try {
+			for (const recipient of message.to) {
+				await env.SEND_EMAIL.send(new EmailMessage(message.from.email, recipient.email, buildMimeMessage(message, recipient)));
+			}
+			return { ok: true, provider: 'cloudflare', status: 200, retryable: false };
+		} catch (err) {
+			return { ok: false, provider: 'cloudflare', status: 500, retryable: true, error: err.message };
+		}
+	},
+};
+
+export const emailProviders = { mailtrap, resend, sendgrid, postmark, cloudflare };
+
+/**
+ * Returns the ordered list of provider names configured for this environment.
+ */
+export function getProviderChain(env) {
+	const primary = (env.EMAIL_PROVIDER || 'mailtrap').trim();
+	const fallbacks = (env.EMAIL_FALLBACK_PROVIDERS || '')
+		.split(',')
+		.map((name) => name.trim())
+		.filter((name) => name && name !== primary);
+	return [primary, ...new Set(fallbacks)];
+}
+
+/**
+ * Sends a message through the configured provider chain, failing over to the
+ * next provider only for retryable failures (5xx, 429, timeouts, network errors).
+ *
+ * @returns {Promise<{ ok: boolean, provider: string, status: number, retryable: boolean, error?: string, attempts: object[] }>}
+ */
+export async function deliverEmail(env, message) {
+	const attempts = [];
+	const outgoing = message.attachments?.length ? { ...message, attachments: await loadAttachmentContents(env, message.attachments) } : message;
+
+	const unknown = [];
+	for (const name of getProviderChain(env)) {
+		const provider = emailProviders[name];
+		if (!provider) {
+			log.error('Unknown email provider, trying the next one', { provider: name });
+			unknown.push(name);
+			continue;
+		}
+
+		let result;
+		try {
+			result = await provider.send(env, outgoing);
+		} catch (err) {
+			const timedOut = err.name === 'AbortError';
+			result = { ok: false, provider: name, status: timedOut ? 504 : 502, retryable: true, error: timedOut ? 'Request timed out' : err.message };
+		}
+
+		attempts.push(result);
+		if (result.ok || !result.retryable) break;
+		log.warn('Email provider failed, trying the next one', { provider: name, status: result.status, error: result.error });
+	}
+
+	if (attempts.length === 0) {
+		// A typo in the config never fixes itself; park the job instead of retrying it
+		attempts.push({
+			ok: false,
+			provider: unknown[0],
+			status: 500,
+			retryable: false,
+			error: `Unknown email provider: ${unknown.join(', ')}`,
+		});
+	}
+	return { ...attempts[attempts.length - 1], attempts };
+}
@@ -1,75 +1,44 @@
 // emailService.js
 /**
- * Handles sending email notifications and auto-replies.
- * Assumes `env.SEND_EMAIL` is a function binding to a Cloudflare Worker Email service or similar.
+ * Builds the email notification and auto-reply for a submission, addressed
+ * with the resolved site's sender and inbox (see `siteConfig.js`). Every email
+ * carries a plain-text alternative generated from its HTML. `subject` only
+ * goes into the notification; the auto-reply subject arrives complete and
+ * localized (see `getClientReplySubject`), so internal flags such as the spam
+ * tag never reach the submitter.
+ * Delivery itself is queued by `deliveryQueue.js` and goes through the provider
+ * chain configured in `emailProviders.js` (`EMAIL_PROVIDER` / `EMAIL_FALLBACK_PROVIDERS`).
  */
 
-export async function sendEmails(env, toEmail, subject, notifyMessage, clientReplyMessage, corsHeaders) {
-    try {
-        const headers = {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${env.MAILTRAP_TOKEN}`,
-        };
+import { htmlToText } from './templateEngine';
 
-        // Notification to you
-        const notificationPayload = {
-            from: { email: 'hello@philipmutua.xyz', name: 'Contact Form' },
-            to: [{ email: 'hello@philipmutua.xyz' }],
-            subject: `📬 New Contact Form Submission - ${subject}`,
-            html: notifyMessage,
-        };
+export function buildEmails(site, toEmail, subject, notifyMessage, clientReplyMessage, clientReplySubject) {
+    // Notification to the site's inbox
+    const notification = {
+        from: site.from,
+        to: site.notificationRecipients.map((email) => ({ email })),
+        replyTo: { email: toEmail },
+        subject: `📬 New Contact Form Submission - ${subject}`,
+        html: notifyMessage,
+        text: htmlToText(notifyMessage),
+    };
 
-        // Auto-reply to client
-        const clientReplyPayload = {
-            from: { email: 'hello@philipmutua.xyz', name: 'Philip Mutua' },
-            to: [{ email: toEmail, name: 'Client' }],
-            subject: `✅ Thank you for reaching out, ${toEmail}! - Re: ${subject}`,
-            html: clientReplyMessage,
-        };
+    // Auto-reply to client
+    const autoReply = buildReply(site, { email: toEmail, name: 'Client' }, clientReplySubject, clientReplyMessage);
 
-        // Send both emails in parallel
-        const [notificationRes, clientReplyRes] = await Promise.all([
-            fetch('https://send.api.mailtrap.io/api/send', {
-                method: 'POST',
-                headers,
-                body: JSON.stringify(notificationPayload),
-            }),
-            fetch('https://send.api.mailtrap.io/api/send', {
-                method: 'POST',
-                headers,
-                body: JSON.stringify(clientReplyPayload),
-            }),
-        ]);
-
-        // Handle failures
-        if (!notificationRes.ok || !clientReplyRes.ok) {
-            console.error('Notification:', await notificationRes.text());
-            console.error('Client Reply:', await clientReplyRes.text());
-            return new Response('Failed to send email', {
-                status: 500,
-                headers: corsHeaders,
-            });
-        }
+    return { notification, autoReply };
+}
 
-        // Success
-        return new Response(
-            JSON.stringify({
-                success: true,
-                message: 'Form submitted successfully and confirmation email sent!',
-            }),
-            {
-                status: 200,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...corsHeaders,
-                },
-            }
-        );
-    } catch (err) {
-        console.error(err);
-        return new Response(JSON.stringify({ error: 'Unexpected error' }), {
-            status: 500,
-            headers: corsHeaders,
-        });
-    }
+/**
+ * Builds an email from the site owner to a submitter, such as the auto-reply
+ * or an interview confirmation.
+ */
+export function buildReply(site, recipient, subject, html) {
+    return {
+        from: { email: site.from.email, name: site.signature.name || site.from.name },
+        to: [recipient],
+        subject,
+        html,
+        text: htmlToText(html),
+    };
 }
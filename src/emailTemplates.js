@@ -0,0 +1,170 @@
+/**
+ * emailTemplates.js
+ *
+ * Built-in email templates and their KV overrides.
+ *
+ * Templates are looked up in the `CONFIG_KV` namespace first, so they can be
+ * changed without redeploying:
+ *
+ *   template:<formType>:<kind>    e.g. template:quote:notification
+ *   template:default:<kind>       applies to every form type
+ *
+ * where `<kind>` is `notification`, `autoReply`, `interviewReply` or `confirmation`. Missing keys fall back to
+ * the built-in templates below (`AUTO_REPLY_TEMPLATE` lives next to the
+ * localized auto-reply copy in `clientReplyTemplate.js`).
+ */
+
+import { AUTO_REPLY_TEMPLATE } from './clientReplyTemplate';
+import { log } from './logger';
+import { renderTemplate } from './templateEngine';
+
+export const NOTIFICATION_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>{{heading}}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; line-height: 1.5; color: #333;">
+  <div style="max-width: 640px; margin: 0 auto; background: #ffffff; padding: 24px; border: 1px solid #eee;">
+    <h2 style="margin: 0 0 16px; font-size: 20px;">{{heading}}</h2>
+{{#if spam}}
+    <div style="margin: 0 0 16px; padding: 12px; background: #fff4e5; border: 1px solid #ffd8a8;">
+      <p style="margin: 0;"><strong>Possible spam (score {{spam.score}})</strong></p>
+{{#each spam.reasons}}
+      <p style="margin: 0;">- {{this}}</p>
+{{/each}}
+    </div>
+{{/if}}
+    <table role="presentation" cellpadding="0" cellspacing="0" style="width: 100%; border-collapse: collapse;">
+{{#each fields}}
+      <tr>
+        <th style="width: 35%; padding: 8px; text-align: left; vertical-align: top; border-bottom: 1px solid #eee;">{{label}}</th>
+        <td style="padding: 8px; white-space: pre-wrap; border-bottom: 1px solid #eee;">{{#if value}}{{value}}{{else}}N/A{{/if}}</td>
+      </tr>
+{{/each}}
+    </table>
+{{#if interview}}
+    <h3 style="margin: 24px 0 8px; font-size: 16px;">Proposed interview slots</h3>
+{{#each interview.slots}}
+    <p style="margin: 0 0 8px;"><strong>Option {{n}}: {{ownerTime}}</strong><br />Their time: {{recruiterTime}}{{#if acceptUrl}}<br /><a href="{{acceptUrl}}" style="color: #007acc;">Accept option {{n}}</a>{{/if}}</p>
+{{/each}}
+{{#if interview.declineUrl}}
+    <p style="margin: 0;"><a href="{{interview.declineUrl}}" style="color: #007acc;">Decline all</a></p>
+{{/if}}
+{{/if}}
+{{#if attachments}}
+    <h3 style="margin: 24px 0 8px; font-size: 16px;">Attachments</h3>
+{{#each attachments}}
+    <p style="margin: 0;">{{#if url}}<a href="{{url}}" style="color: #007acc;">{{filename}}</a>{{else}}{{filename}}{{/if}} ({{sizeLabel}})</p>
+{{/each}}
+{{/if}}
+{{#if replyLink}}
+    <p style="margin: 24px 0 0;">
+      <a href="{{replyLink}}" style="display: inline-block; padding: 10px 16px; background: #007acc; color: #ffffff; text-decoration: none;">Reply to {{replyTo.name}}</a>
+    </p>
+{{/if}}
+    <p style="margin: 24px 0 0; font-size: 12px; color: #888;">Submission {{submissionId}} &middot; {{submittedAt}}</p>
+  </div>
+</body>
+</html>
+`;
+
+export const INTERVIEW_REPLY_TEMPLATE = `<!DOCTYPE html>
+<html lang="{{language}}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>{{subject}}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; color: #333;">
+  <div style="max-width: 600px; margin: 0 auto; background: #ffffff; padding: 24px; border: 1px solid #eee;">
+    <p>{{intro}}</p>
+{{#if slot}}
+    <p style="font-size: 18px;"><strong>{{slot}}</strong></p>
+{{/if}}
+{{#if calendarNote}}
+    <p>{{calendarNote}}</p>
+{{/if}}
+    <div style="margin-top: 40px; border-top: 1px solid #eee; padding-top: 20px;">
+      <p style="margin: 0;">{{regards}},</p>
+      <p style="margin: 2px 0;"><strong>{{signature.name}}</strong></p>
+{{#if signature.title}}
+      <p style="margin: 2px 0;">{{signature.title}}</p>
+{{/if}}
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+export const CONFIRMATION_TEMPLATE = `<!DOCTYPE html>
+<html lang="{{language}}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>{{subject}}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; color: #333;">
+  <div style="max-width: 600px; margin: 0 auto; background: #ffffff; padding: 24px; border: 1px solid #eee;">
+    <p>{{intro}}</p>
+    <p style="margin: 32px 0; text-align: center;">
+      <a href="{{confirmUrl}}" style="background: #007acc; color: #ffffff; text-decoration: none; border-radius: 4px; padding: 12px 24px; display: inline-block;">{{button}}</a>
+    </p>
+    <p style="font-size: 14px; color: #666;">{{expiry}}</p>
+    <div style="margin-top: 40px; border-top: 1px solid #eee; padding-top: 20px;">
+      <p style="margin: 0;">{{regards}},</p>
+      <p style="margin: 2px 0;"><strong>{{signature.name}}</strong></p>
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+const BUILT_IN = {
+	notification: NOTIFICATION_TEMPLATE,
+	autoReply: AUTO_REPLY_TEMPLATE,
+	interviewReply: INTERVIEW_REPLY_TEMPLATE,
+	confirmation: CONFIRMATION_TEMPLATE,
+};
+
+/**
+ * Returns the template for a kind and form type, preferring KV overrides.
+ */
+export async function loadTemplate(env, kind, formType) {
+	if (env.CONFIG_KV) {
+		try {
+			const override = (await env.CONFIG_KV.get(`template:${formType}:${kind}`, { cacheTtl: 60 })) ?? (await env.CONFIG_KV.get(`template:default:${kind}`, { cacheTtl: 60 }));
+			if (override) return override;
+		} catch (err) {
+			log.error('Failed to load template override', { kind, formType, err });
+		}
+	}
+	return BUILT_IN[kind];
+}
+
+/**
+ * Renders the admin notification for a validated submission.
+ *
+ * @param {string} template
+ * @param {{ schema: object, values: object, submission: object, subject: string, attachments?: object[], interview?: object }} data
+ *   `attachments` are the submission's files with signed download links (see `withDownloadLinks`);
+ *   `interview` holds the proposed slots in both time zones with accept/decline links (see `interviewLinks`).
+ */
+export function renderNotificationEmail(template, { schema, values, submission, subject, attachments = [], interview = null }) {
+	const replyTo = { email: values[schema.replyTo.email], name: values[schema.replyTo.name] || values[schema.replyTo.email] };
+
+	return renderTemplate(template, {
+		heading: schema.notification.heading,
+		formType: submission.formType,
+		fields: schema.notification.fields.map((name) => ({ name, label: schema.fields[name].label, value: values[name] })),
+		values,
+		replyTo,
+		replyLink: replyTo.email ? `mailto:${replyTo.email}?subject=${encodeURIComponent(`Re: ${subject}`)}` : '',
+		spam: submission.spam,
+		attachments,
+		interview,
+		submissionId: submission.id,
+		submittedAt: submission.createdAt,
+	});
+}
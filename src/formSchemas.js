@@ -0,0 +1,149 @@
+/**
+ * formSchemas.js
+ *
+ * Declarative registry of the form types the worker accepts.
+ *
+ * Each schema declares:
+ *  - `fields`: field definitions keyed by payload property. Supported keys are
+ *    `type` ('string' | 'email' | 'phone' | 'url' | 'date' | 'datetime' | 'timezone' | 'enum'), `label`,
+ *    `required`, `minLength`, `maxLength`, `pattern` (+ `patternMessage`) and `enum`.
+ *  - `rules`: optional cross-field rules (`{ oneOf: [...fields], message }`).
+ *  - `replyTo`: which fields hold the submitter's email address and name.
+ *  - `subject`: builds the notification subject from the sanitized values.
+ *  - `notification`: heading and the ordered list of fields to include.
+ *  - `scheduling`: optional interview slots (`{ slots, timezone, durationMinutes, role, company }`);
+ *    slot fields must be future datetimes in the given time zone field, and
+ *    the notification gets calendar invites and accept/decline links (see `interviews.js`).
+ *  - `attachments`: optional upload rules (`{ maxFiles, maxSize, types }`) for
+ *    multipart submissions; forms without it reject files (see `attachments.js`).
+ *  - `lead`: optional, makes submissions CRM leads; maps the lead's `name`, `email`,
+ *    `phone`, `company`, `budget`, `timeline` and `description` to fields (see `leads.js`).
+ *
+ * Adding a form type is a matter of adding an entry here.
+ */
+
+import { DOCX, MB } from './attachments';
+
+export const formSchemas = {
+	quote: {
+		fields: {
+			name: { type: 'string', label: 'Name', required: true, minLength: 2 },
+			email: { type: 'email', label: 'Email address', required: true },
+			phone: { type: 'phone', label: 'Phone number' },
+			project: { type: 'string', label: 'Project description', required: true, minLength: 5 },
+			budget: { type: 'string', label: 'Budget' },
+			timeline: { type: 'string', label: 'Timeline' },
+		},
+		replyTo: { email: 'email', name: 'name' },
+		subject: (values) => `New Quote Request - ${values.name}`,
+		notification: {
+			heading: 'New Quote Request',
+			fields: ['name', 'email', 'phone', 'project', 'budget', 'timeline'],
+		},
+		attachments: { maxFiles: 3, maxSize: 5 * MB, types: ['application/pdf', DOCX, 'image/png', 'image/jpeg'] },
+		lead: { name: 'name', email: 'email', phone: 'phone', budget: 'budget', timeline: 'timeline', description: 'project' },
+	},
+
+	message: {
+		fields: {
+			name: { type: 'string', label: 'Name', required: true, minLength: 2 },
+			email: { type: 'email', label: 'Email address', required: true },
+			phone: { type: 'phone', label: 'Phone number' },
+			subject: { type: 'string', label: 'Subject', required: true, minLength: 3 },
+			messageBody: { type: 'string', label: 'Message', required: true, minLength: 10 },
+		},
+		replyTo: { email: 'email', name: 'name' },
+		subject: (values) => `New Message - ${values.subject}`,
+		notification: {
+			heading: 'New Message',
+			fields: ['name', 'email', 'phone', 'subject', 'messageBody'],
+		},
+	},
+
+	recruiter_query: {
+		fields: {
+			recruiterName: { type: 'string', label: 'Recruiter name', required: true, minLength: 2 },
+			recruiterEmail: { type: 'email', label: 'Recruiter email', required: true },
+			companyName: { type: 'string', label: 'Company name', required: true, minLength: 2 },
+			roleLocation: { type: 'string', label: 'Location' },
+			roleTitle: { type: 'string', label: 'Role title', required: true, minLength: 3 },
+			roleDescription: { type: 'string', label: 'Description', maxLength: 5000 },
+			keySkills: { type: 'string', label: 'Skills' },
+			linkToJD: { type: 'url', label: 'JD link' },
+		},
+		replyTo: { email: 'recruiterEmail', name: 'recruiterName' },
+		subject: (values) => `New Recruiter Query - ${values.recruiterName}`,
+		notification: {
+			heading: 'Recruiter Query',
+			fields: ['recruiterName', 'companyName', 'recruiterEmail', 'roleLocation', 'roleTitle', 'roleDescription', 'keySkills', 'linkToJD'],
+		},
+		attachments: { maxFiles: 2, maxSize: 5 * MB, types: ['application/pdf', 'application/msword', DOCX] },
+		lead: { name: 'recruiterName', email: 'recruiterEmail', company: 'companyName', description: 'roleTitle' },
+	},
+
+	interview_proposal: {
+		fields: {
+			recruiterName: { type: 'string', label: 'Recruiter name', required: true, minLength: 2 },
+			companyName: { type: 'string', label: 'Company name', required: true, minLength: 2 },
+			recruiterEmail: { type: 'email', label: 'Recruiter email', required: true },
+			proposedDate1: { type: 'datetime', label: 'Date 1' },
+			proposedDate2: { type: 'datetime', label: 'Date 2' },
+			interviewTimezoneRecruiter: { type: 'timezone', label: 'Timezone', required: true, maxLength: 64 },
+			roleTitleInterview: { type: 'string', label: 'Role title', required: true, minLength: 3 },
+		},
+		rules: [{ oneOf: ['proposedDate1', 'proposedDate2'], message: 'At least one proposed date is required' }],
+		replyTo: { email: 'recruiterEmail', name: 'recruiterName' },
+		subject: (values) => `Interview Proposal - ${values.recruiterName}`,
+		scheduling: {
+			slots: ['proposedDate1', 'proposedDate2'],
+			timezone: 'interviewTimezoneRecruiter',
+			durationMinutes: 60,
+			role: 'roleTitleInterview',
+			company: 'companyName',
+		},
+		notification: {
+			heading: 'Interview Proposal',
+			fields: ['recruiterName', 'companyName', 'recruiterEmail', 'proposedDate1', 'proposedDate2', 'interviewTimezoneRecruiter', 'roleTitleInterview'],
+		},
+	},
+};
+
+/**
+ * Looks up the schema for a form type, or returns null if it is not registered.
+ */
+export function getFormSchema(formType) {
+	return Object.prototype.hasOwnProperty.call(formSchemas, formType) ? formSchemas[formType] : null;
+}
+
+/**
+ * The parts of a schema a frontend needs to render and pre-validate the form,
+ * for `GET /v1/forms`. Subjects, notification layout and reply-to mapping stay
+ * server-side.
+ */
+export function getPublicSchema(formType) {
+	const schema = getFormSchema(formType);
+	if (!schema) return null;
+
+	const fields = Object.entries(schema.fields).map(
+		([name, { type, label, required, minLength, maxLength, pattern, patternMessage, enum: options }]) => ({
+			name,
+			type,
+			label,
+			required: Boolean(required),
+			minLength,
+			maxLength,
+			pattern: pattern?.source,
+			patternMessage,
+			enum: options,
+		})
+	);
+	return {
+		formType,
+		fields,
+		rules: schema.rules || [],
+		attachments: schema.attachments || null,
+		scheduling: schema.scheduling
+			? { slots: schema.scheduling.slots, timezone: schema.scheduling.timezone, durationMinutes: schema.scheduling.durationMinutes }
+			: null,
+	};
+}
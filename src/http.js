@@ -0,0 +1,105 @@
+/**
+ * http.js
+ *
+ * Small helpers for building JSON responses and the plain HTML pages shown
+ * when someone opens a link from an email.
+ *
+ * Every JSON error shares one envelope:
+ *
+ *   { "error": "Validation failed", "code": "validation_failed", "message": "...", "requestId": "...", ...details }
+ *
+ * `error` is a short title, `code` is stable for programs to branch on and
+ * `message` is for people. Handlers return whatever subset they know;
+ * `withErrorEnvelope` fills in the rest on the way out.
+ */
+
+import { renderTemplate } from './templateEngine';
+
+export function jsonResponse(body, status = 200, headers = {}) {
+	return new Response(JSON.stringify(body), {
+		status,
+		headers: { 'Content-Type': 'application/json', ...headers },
+	});
+}
+
+/**
+ * Returns `response` with `headers` added (or replaced).
+ */
+export function withHeaders(response, headers) {
+	const merged = new Headers(response.headers);
+	for (const [name, value] of Object.entries(headers)) {
+		merged.set(name, value);
+	}
+	return new Response(response.body, { status: response.status, statusText: response.statusText, headers: merged });
+}
+
+const ERRORS = {
+	400: ['Bad request', 'bad_request'],
+	401: ['Unauthorized', 'unauthorized'],
+	403: ['Forbidden', 'forbidden'],
+	404: ['Not found', 'not_found'],
+	405: ['Method not allowed', 'method_not_allowed'],
+	409: ['Conflict', 'conflict'],
+	413: ['Payload too large', 'payload_too_large'],
+	422: ['Unprocessable entity', 'unprocessable_entity'],
+	429: ['Too many requests', 'rate_limited'],
+	500: ['Internal server error', 'internal_error'],
+	503: ['Service unavailable', 'service_unavailable'],
+};
+
+/**
+ * Completes the error envelope of a JSON error response. Other responses
+ * (successes, HTML pages, files) are returned as they are.
+ */
+export async function withErrorEnvelope(response, requestId) {
+	if (response.status < 400 || !response.headers.get('Content-Type')?.startsWith('application/json')) {
+		return response;
+	}
+
+	let body;
+	try {
+		body = await response.clone().json();
+	} catch (err) {
+		return response;
+	}
+	if (!body || typeof body !== 'object' || Array.isArray(body)) return response;
+
+	const [title, code] = ERRORS[response.status] || ['Error', 'error'];
+	const envelope = { error: title, code, message: body.error || title, ...body, requestId };
+	return new Response(JSON.stringify(envelope), { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+const PAGE_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>{{title}}</title>
+</head>
+<body style="margin: 0; padding: 40px 16px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; color: #333;">
+  <div style="max-width: 480px; margin: 0 auto;">
+    <h1 style="font-size: 22px;">{{title}}</h1>
+    <p>{{message}}</p>
+{{#if action}}
+    <form method="POST" action="{{action}}">
+      <button type="submit" style="background: #007acc; color: #fff; border: 0; border-radius: 4px; padding: 10px 20px; font-size: 16px; cursor: pointer;">{{button}}</button>
+    </form>
+{{/if}}
+  </div>
+</body>
+</html>
+`;
+
+/**
+ * Renders a minimal, non-indexable HTML page with an optional POST button.
+ *
+ * @param {number} status
+ * @param {{ title: string, message: string, action?: string, button?: string }} context
+ */
+export function htmlPage(status, context) {
+	return new Response(renderTemplate(PAGE_TEMPLATE, context), {
+		status,
+		headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' },
+	});
+}
@@ -0,0 +1,134 @@
+/**
+ * i18n.js
+ *
+ * Message catalogs and locale negotiation for client-facing emails.
+ *
+ * Catalogs live in `src/locales/<locale>.json`; adding a language means adding
+ * a JSON file and registering it in `catalogs` below. Lookups walk a regional
+ * fallback chain (`pt-BR` -> `pt` -> `en`), so a catalog only needs the keys
+ * that differ from its parent.
+ */
+
+import de from './locales/de.json';
+import en from './locales/en.json';
+import es from './locales/es.json';
+import fr from './locales/fr.json';
+import sw from './locales/sw.json';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const catalogs = { en, sw, fr, es, de };
+
+/**
+ * Normalizes a locale tag: `PT_br` -> `pt-BR`.
+ */
+export function normalizeLocale(tag) {
+	if (typeof tag !== 'string' || !tag.trim()) return null;
+
+	const [language, region] = tag.trim().replace('_', '-').split('-');
+	if (!/^[a-z]{2,3}$/i.test(language)) return null;
+	return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+}
+
+/**
+ * Returns the lookup chain for a locale, ending with the default locale.
+ */
+export function fallbackChain(locale) {
+	const normalized = normalizeLocale(locale);
+	const chain = [];
+	if (normalized) {
+		chain.push(normalized);
+		const language = normalized.split('-')[0];
+		if (language !== normalized) chain.push(language);
+	}
+	if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+	return chain;
+}
+
+// A tag is supported when it, or its base language, has a catalog.
+const isSupported = (tag) => {
+	const normalized = normalizeLocale(tag);
+	return Boolean(normalized && (catalogs[normalized] || catalogs[normalized.split('-')[0]]));
+};
+
+/**
+ * Parses an Accept-Language header into tags ordered by quality.
+ */
+export function parseAcceptLanguage(header) {
+	if (!header) return [];
+
+	return header
+		.split(',')
+		.map((part, index) => {
+			const [tag, ...params] = part.trim().split(';');
+			const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+			return { tag: tag.trim(), quality: q ? Number(q.slice(2)) : 1, index };
+		})
+		.filter(({ tag, quality }) => tag && tag !== '*' && quality > 0)
+		.sort((a, b) => b.quality - a.quality || a.index - b.index)
+		.map(({ tag }) => tag);
+}
+
+/**
+ * Picks the locale for a submission: the explicit `language` field first, then
+ * the Accept-Language header, then the site's default, then English.
+ *
+ * The result may be a regional tag (e.g. `pt-BR`); lookups fall back from it.
+ */
+export function negotiateLocale({ language, acceptLanguage, defaultLocale } = {}) {
+	for (const candidate of [language, ...parseAcceptLanguage(acceptLanguage)]) {
+		if (isSupported(candidate)) return normalizeLocale(candidate);
+	}
+	return normalizeLocale(defaultLocale) || DEFAULT_LOCALE;
+}
+
+const lookupKey = (catalog, key) =>
+	key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+/**
+ * Returns the first message found for `keys` (tried in order within each
+ * locale) along the locale's fallback chain.
+ *
+ * @param {string} locale
+ * @param {string|string[]} keys - e.g. ['autoReply.quote', 'autoReply.default']
+ */
+export function getMessage(locale, keys) {
+	const candidates = Array.isArray(keys) ? keys : [keys];
+	for (const code of fallbackChain(locale)) {
+		const catalog = catalogs[code];
+		if (!catalog) continue;
+		for (const key of candidates) {
+			const message = lookupKey(catalog, key);
+			if (typeof message === 'string') return message;
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Interpolates `{{name}}` placeholders into a plain-text message (no escaping;
+ * use the template engine for HTML).
+ */
+export const formatMessage = (message, vars = {}) =>
+	(message || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (vars[name] ?? '').toString());
+
+const flattenKeys = (node, prefix = '') =>
+	Object.entries(node).flatMap(([key, value]) =>
+		value && typeof value === 'object' ? flattenKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`],
+	);
+
+/**
+ * Lists, per locale, the keys present in the default catalog but missing from
+ * that locale's own catalog (before fallback).
+ *
+ * @returns {Object<string, string[]>} Only locales with missing keys are included.
+ */
+export function findMissingKeys() {
+	const reference = flattenKeys(catalogs[DEFAULT_LOCALE]);
+	const missing = {};
+	for (const [code, catalog] of Object.entries(catalogs)) {
+		const keys = reference.filter((key) => typeof lookupKey(catalog, key) !== 'string');
+		if (keys.length) missing[code] = keys;
+	}
+	return missing;
+}
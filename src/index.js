@@ -1,291 +1,335 @@
-const getClientReplyMessage = require('./clientReplyTemplate');
-const { sendEmails } = require('./emailService');
+/**
+ * index.js
+ *
+ * Worker entry point. `fetch` resolves the site, hands the request to the
+ * router and finishes every response the same way (error envelope, request id,
+ * request log, submission metric); `queue` consumes the delivery queue.
+ *
+ *   POST /                        submit a form, `formType` in the body (legacy)
+ *   POST /v1/forms/:formType      submit a form
+ *   GET  /v1/forms                public field schemas of the site's form types
+ *   GET  /v1/forms/:formType      public field schema of one form type
+ *
+ * Links from emails (`/attachments`, `/interviews`, `/confirm`), `/health`,
+ * `/metrics`, the admin inbox (`/submissions`, `/dead-letters`), the lead
+ * export (`/leads`) and the data subject requests (`/privacy`) are routed to
+ * their own modules. `scheduled` runs the retention purge.
+ */
 
-export default {
-	async fetch(request, env, ctx) {
-	  // CORS Configuration
-	  const origin = request.headers.get('Origin');
-	  const allowedOrigins = ['https://philipmutua.xyz', 'http://localhost:4200','http://127.0.0.1:8787'];
-	  const isAllowedOrigin = allowedOrigins.includes(origin);
-  
-	  const corsHeaders = {
-		'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'null',
-		'Access-Control-Allow-Methods': 'POST, OPTIONS',
-		'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
-	  };
-  
-	  // Handle OPTIONS preflight request
-	  if (request.method === 'OPTIONS') {
-		return new Response(null, { status: 204, headers: corsHeaders });
-	  }
-  
-	  // Only allow POST requests
-	  if (request.method !== 'POST') {
-		return new Response(
-		  JSON.stringify({ error: 'Method not allowed', allowedMethods: ['POST'] }),
-		  { status: 405, headers: corsHeaders }
-		);
-	  }
-  
-	  try {
-		// API Key Validation
-		const apiKey = request.headers.get('X-API-Key');
-		if (!apiKey || apiKey !== env.API_KEY) {
-		  return new Response(
-			JSON.stringify({ error: 'Unauthorized', message: 'Invalid API key' }),
-			{ status: 401, headers: corsHeaders }
-		  );
-		}
-  
-		// Rate Limiting Implementation
-		const clientIP = request.headers.get('CF-Connecting-IP') || 
-						request.headers.get('X-Forwarded-For') || 
-						'unknown';
-		const rateLimitKey = `rate_limit:${clientIP}`;
-		const windowMs = 15 * 60 * 1000; // 15 minutes
-		const maxRequests = 5;
-		const currentTime = Date.now();
-  
-		let requestCount = 1;
-		let windowStart = currentTime;
-  
-		if (env.RATE_LIMIT_KV) {
-		  const rateLimitData = await env.RATE_LIMIT_KV.get(rateLimitKey);
-		  
-		  if (rateLimitData) {
-			const { count, windowStart: storedWindowStart } = JSON.parse(rateLimitData);
-			const timeSinceWindowStart = currentTime - storedWindowStart;
-  
-			if (timeSinceWindowStart < windowMs) {
-			  requestCount = count + 1;
-			  windowStart = storedWindowStart;
-  
-			  if (requestCount > maxRequests) {
-				const remainingMinutes = Math.ceil((windowMs - timeSinceWindowStart) / 60000);
-				return new Response(
-				  JSON.stringify({
-					error: 'Rate limit exceeded',
-					message: `Too many requests. Please try again in ${remainingMinutes} minute(s).`,
-					retryAfter: remainingMinutes,
-				  }),
-				  {
-					status: 429,
-					headers: {
-					  ...corsHeaders,
-					  'Retry-After': Math.ceil((windowMs - timeSinceWindowStart) / 1000).toString(),
-					  'X-RateLimit-Limit': maxRequests.toString(),
-					  'X-RateLimit-Remaining': '0',
-					  'X-RateLimit-Reset': new Date(windowStart + windowMs).toISOString(),
-					},
-				  }
-				);
-			  }
-			}
-		  }
-  
-		  // Update rate limit in KV
-		  await env.RATE_LIMIT_KV.put(
-			rateLimitKey,
-			JSON.stringify({ count: requestCount, windowStart }),
-			{ expirationTtl: Math.ceil(windowMs / 1000) }
-		  );
-		}
-  
-		const rateLimitHeaders = {
-		  'X-RateLimit-Limit': maxRequests.toString(),
-		  'X-RateLimit-Remaining': (maxRequests - requestCount).toString(),
-		  'X-RateLimit-Reset': new Date(windowStart + windowMs).toISOString(),
-		};
-  
-		// Request Body Processing
-		let data;
+import { negotiateLocale } from './i18n';
+import { getFormSchema, getPublicSchema } from './formSchemas';
+import { validateSubmission } from './validation';
+import { handleAdminRequest } from './adminRoutes';
+import { buildSubmission, saveSubmission } from './submissionStore';
+import { scoreSubmission, verifyTurnstile } from './spamFilter';
+import { checkRateLimit } from './rateLimiter';
+import { resolveSite } from './siteConfig';
+import { keyAllowsFormType } from './apiKeys';
+import { contentFingerprint, findDuplicate, rememberSubmission } from './deduplication';
+import { handleDeliveryBatch } from './deliveryQueue';
+import { handleAttachmentDownload, storeAttachments, validateAttachments } from './attachments';
+import { buildInterview, handleInterviewRequest } from './interviews';
+import { deliverSubmission } from './submissionDelivery';
+import { confirmationTtl, handleConfirmation, requestConfirmation, requiresConfirmation } from './verification';
+import { getRedirectTarget, isFormRequest, parseRequestBody, redirectAfterPost } from './requestBody';
+import { createLogger } from './logger';
+import { recordMetrics } from './metrics';
+import { handleHealthRequest, handleMetricsRequest } from './statusRoutes';
+import { createRouter } from './router';
+import { ADMIN_HEADERS, cors, idempotency, requireAdmin, requireApiKey } from './middleware';
+import { jsonResponse, withErrorEnvelope, withHeaders } from './http';
+import { handlePrivacyErase, handlePrivacyExport, purgeExpiredData, readConsent, requiresConsent } from './privacy';
+import { buildLead, handleLeadExport } from './leads';
+
+const REQUEST_ID = /^[\w.:-]{8,128}$/;
+
+// A well-formed id from the client or a proxy is kept so traces join up across systems
+const getRequestId = (request) => {
+	const incoming = request.headers.get('X-Request-Id');
+	return incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+};
+
+// Confirmation tokens are credentials and query strings carry signatures and keys
+const loggedPath = (pathname) => pathname.replace(/^\/confirm\/.+/, '/confirm/[token]');
+
+const internalError = () => jsonResponse({ error: 'Internal server error', message: 'An unexpected error occurred' }, 500);
+
+/**
+ * Accepts a submission. The form type comes from the path on the versioned
+ * route and from the body on the legacy one. Sets the form type, outcome and
+ * submission id on `c.trace` for the request log and metrics.
+ */
+async function handleSubmission(c) {
+	const { request, env, ctx, url, site, apiKey, trace } = c;
+	const { requestId, log } = trace;
+
+	const clientIP = request.headers.get('CF-Connecting-IP') || request.headers.get('X-Forwarded-For') || 'unknown';
+	let rateLimitHeaders = {};
+	let redirectTo = null;
+
+	// JSON for API clients; plain HTML forms are redirected back to their `_redirect` page
+	const respond = (body, status) =>
+		redirectTo ? redirectAfterPost(redirectTo, body, status) : jsonResponse(body, status, rateLimitHeaders);
+	// Error responses for the submission, counted under `reason` in the metrics
+	const reject = (reason, body, status) => {
+		trace.outcome = reason;
+		return respond({ ...body, code: reason }, status);
+	};
+
+	try {
+		// Request Body Processing: JSON, urlencoded or multipart (with files)
+		let data, files;
 		try {
-		  data = await request.json();
+			({ data, files } = await parseRequestBody(request));
 		} catch (e) {
-		  return new Response(
-			JSON.stringify({ error: 'Invalid JSON payload' }),
-			{ status: 400, headers: { ...corsHeaders, ...rateLimitHeaders } }
-		  );
+			return reject('invalid_payload', { error: isFormRequest(request) ? 'Invalid form payload' : 'Invalid JSON payload' }, 400);
 		}
-  
+		if (isFormRequest(request)) {
+			redirectTo = getRedirectTarget(site, data._redirect);
+		}
+
 		// Form Validation
-		const { formType } = data;
+		const formType = c.params.formType ?? data.formType;
 		if (!formType) {
-		  return new Response(
-			JSON.stringify({ error: 'Missing required field', field: 'formType' }),
-			{ status: 400, headers: { ...corsHeaders, ...rateLimitHeaders } }
-		  );
+			return reject('missing_form_type', { error: 'Missing required field', field: 'formType' }, 400);
 		}
-  
-		// Validation Utilities
-		const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email?.trim() || '');
-		const isValidPhone = (phone) => !phone || /^[\d\s+\-()]{6,20}$/.test(phone);
-		const sanitize = (val) => (val ? val.toString().trim() : '');
-		const validateLength = (field, value, min, max = 1000) => {
-		  value = sanitize(value);
-		  if (!value) return `${field} is required`;
-		  if (value.length < min) return `${field} must be at least ${min} characters`;
-		  if (value.length > max) return `${field} must be less than ${max} characters`;
-		  return null;
-		};
-  
-		const errors = [];
-		let notificationContent = '';
-  
-		// Form Type Handling
-		switch (formType) {
-		  case 'quote': {
-			const { name, email, phone, project, budget, timeline, language } = data;
-			
-			const nameError = validateLength('Name', name, 2);
-			if (nameError) errors.push(nameError);
-			if (!isValidEmail(email)) errors.push('Invalid email address');
-			if (!isValidPhone(phone)) errors.push('Invalid phone number format');
-			const projectError = validateLength('Project description', project, 5);
-			if (projectError) errors.push(projectError);
-			
-			notificationContent = `New Quote Request\n\nName: ${sanitize(name)}\nEmail: ${sanitize(email)}\nPhone: ${phone ? sanitize(phone) : 'N/A'}\nProject: ${sanitize(project)}\nBudget: ${budget ? sanitize(budget) : 'N/A'}\nTimeline: ${timeline ? sanitize(timeline) : 'N/A'}`;
-			const payload = {
-				name: name,                 // Client's name (string)
-				budget: budget,       // Budget info (string, optional)
-				timeline: timeline,           // Timeline info (string, optional)
-				preferredContact: 'Email',      // Preferred contact method (string)
-				formType: formType,              // Form type: 'quote', 'message', 'recruiter_query', 'interview_proposal', or any other string for default
-				language: language                  // Language code: 'en', 'sw', 'fr', 'es', or 'de' (default: 'en')
-			  };
-			const subject = `New Quote Request - ${name}`;
-			const clientReply = getClientReplyMessage(payload);	
-			const response = await sendEmails(env, email, subject, notificationContent, clientReply, corsHeaders);
-			console.log('Response:', response);
-			break;
-		  }
-  
-		  case 'message': {
-			const { name, email, phone, subject, messageBody, language } = data;
-			
-			const nameError = validateLength('Name', name, 2);
-			if (nameError) errors.push(nameError);
-			if (!isValidEmail(email)) errors.push('Invalid email address');
-			if (!isValidPhone(phone)) errors.push('Invalid phone number format');
-			const subjectError = validateLength('Subject', subject, 3);
-			if (subjectError) errors.push(subjectError);
-			const messageError = validateLength('Message', messageBody, 10);
-			if (messageError) errors.push(messageError);
-			
-			notificationContent = `New Message\n\nName: ${sanitize(name)}\nEmail: ${sanitize(email)}\nPhone: ${phone ? sanitize(phone) : 'N/A'}\nSubject: ${sanitize(subject)}\nMessage: ${sanitize(messageBody)}`;
-
-			const payload = {
-				name: name,                 // Client's name (string)
-				budget: null,       // Budget info (string, optional)
-				timeline: null,           // Timeline info (string, optional)
-				preferredContact: 'Email',      // Preferred contact method (string)
-				formType: formType,              // Form type: 'quote', 'message', 'recruiter_query', 'interview_proposal', or any other string for default
-				language: language                  // Language code: 'en', 'sw', 'fr', 'es', or 'de' (default: 'en')
-			  };
-			const _subject = `New Message - ${subject}`;
-			const clientReply = getClientReplyMessage(payload);	
-			const response = await sendEmails(env, email, _subject, notificationContent, clientReply, corsHeaders);
-			console.log('Response:', response);
-			break;
-		  }
-  
-		  case 'recruiter_query': {
-			const { recruiterName, recruiterEmail, companyName, roleLocation, roleTitle, roleDescription, keySkills, linkToJD, language } = data;
-			
-			const recruiterNameError = validateLength('Recruiter name', recruiterName, 2);
-			if (recruiterNameError) errors.push(recruiterNameError);
-			if (!isValidEmail(recruiterEmail)) errors.push('Invalid recruiter email');
-			const roleTitleError = validateLength('Role title', roleTitle, 3);
-			if (roleTitleError) errors.push(roleTitleError);
-			const companyNameError = validateLength('Company name', companyName, 2);
-			if (companyNameError) errors.push(companyNameError);
-			
-			notificationContent = `Recruiter Query\n\nRecruiter: ${sanitize(recruiterName)}\nCompany: ${sanitize(companyName)}\nEmail: ${sanitize(recruiterEmail)}\nLocation: ${roleLocation ? sanitize(roleLocation) : 'N/A'}\nRole: ${sanitize(roleTitle)}\nDescription: ${roleDescription ? sanitize(roleDescription) : 'N/A'}\nSkills: ${keySkills ? sanitize(keySkills) : 'N/A'}\nJD Link: ${linkToJD ? sanitize(linkToJD) : 'N/A'}`;
-			const payload = {
-				name: recruiterEmail,                 // Client's name (string)
-				budget: null,       // Budget info (string, optional)
-				timeline: null,           // Timeline info (string, optional)
-				preferredContact: 'Email',      // Preferred contact method (string)
-				formType: formType,              // Form type: 'quote', 'message', 'recruiter_query', 'interview_proposal', or any other string for default
-				language: language                  // Language code: 'en', 'sw', 'fr', 'es', or 'de' (default: 'en')
-			  };
-			const subject = `New Recruiter Query - ${recruiterName}`;
-			const clientReply = getClientReplyMessage(payload);
-			const response = await sendEmails(env, recruiterEmail, subject, notificationContent, clientReply, corsHeaders);
-			console.log('Response:', response);
-			break;
-		  }
-  
-		  case 'interview_proposal': {
-			const { recruiterName, companyName, recruiterEmail, proposedDate1, proposedDate2, interviewTimezoneRecruiter, roleTitleInterview, language} = data;
-			
-			const recruiterNameError = validateLength('Recruiter name', recruiterName, 2);
-			if (recruiterNameError) errors.push(recruiterNameError);
-			if (!isValidEmail(recruiterEmail)) errors.push('Invalid recruiter email');
-			const roleTitleError = validateLength('Role title', roleTitleInterview, 3);
-			if (roleTitleError) errors.push(roleTitleError);
-			const companyNameError = validateLength('Company name', companyName, 2);
-			if (companyNameError) errors.push(companyNameError);
-			if (!proposedDate1 && !proposedDate2) errors.push('At least one proposed date is required');
-			
-			notificationContent = `Interview Proposal\n\nRecruiter: ${sanitize(recruiterName)}\nCompany: ${sanitize(companyName)}\nEmail: ${sanitize(recruiterEmail)}\nDate 1: ${proposedDate1 ? sanitize(proposedDate1) : 'N/A'}\nDate 2: ${proposedDate2 ? sanitize(proposedDate2) : 'N/A'}\nTimezone: ${interviewTimezoneRecruiter ? sanitize(interviewTimezoneRecruiter) : 'N/A'}\nRole: ${sanitize(roleTitleInterview)}`;
-			const payload = {
-				name: recruiterName,                 // Client's name (string)
-				budget: null,       // Budget info (string, optional)
-				timeline: null,           // Timeline info (string, optional)
-				preferredContact: 'Email',      // Preferred contact method (string)
-				formType: formType,              // Form type: 'quote', 'message', 'recruiter_query', 'interview_proposal', or any other string for default
-				language: language                  // Language code: 'en', 'sw', 'fr', 'es', or 'de' (default: 'en')
-			  };
-			const subject = `Interview Proposal - ${recruiterName}`;
-			const clientReply = getClientReplyMessage(payload);
-			const response = await sendEmails(env, recruiterEmail, subject, notificationContent, clientReply, corsHeaders);
-			console.log('Response:', response);
-			break;
-		  }
-  
-		  default:
-			return new Response(
-			  JSON.stringify({ error: 'Invalid form type', validTypes: ['quote', 'message', 'recruiter_query', 'interview_proposal'] }),
-			  { status: 400, headers: { ...corsHeaders, ...rateLimitHeaders } }
+
+		const schema = site.formTypes.includes(formType) ? getFormSchema(formType) : null;
+		if (!schema) {
+			// An unknown form in the path is a missing resource, in the body a bad value
+			return reject(
+				'invalid_form_type',
+				{ error: 'Invalid form type', validTypes: site.formTypes.filter((type) => getFormSchema(type)) },
+				c.params.formType ? 404 : 400
+			);
+		}
+		// Only known form types are logged and counted, so arbitrary input cannot grow the metrics
+		trace.formType = formType;
+
+		if (!keyAllowsFormType(c.key, formType)) {
+			return reject('form_type_not_allowed', { error: 'Forbidden', message: `This API key cannot submit ${formType} forms` }, 403);
+		}
+
+		// Rate limiting, per form type policy
+		const rateLimit = await checkRateLimit(env, {
+			formType,
+			ip: clientIP,
+			email: typeof data[schema.replyTo.email] === 'string' ? data[schema.replyTo.email] : undefined,
+			apiKey: c.key.id || apiKey,
+		});
+		rateLimitHeaders = rateLimit.headers;
+		if (!rateLimit.allowed) {
+			const remainingMinutes = Math.ceil(rateLimit.retryAfter / 60);
+			return reject(
+				'rate_limited',
+				{
+					error: 'Rate limit exceeded',
+					message: `Too many requests. Please try again in ${remainingMinutes} minute(s).`,
+					retryAfter: remainingMinutes,
+				},
+				429
 			);
 		}
-  
-		// Return validation errors if any
+
+		// Return validation errors if any (attachments need an R2 bucket to land in)
+		const { values, errors } = validateSubmission(schema, data);
+		const { consent, error: consentError } = readConsent(site, formType, data);
+		if (consentError) errors.push(consentError);
+		errors.push(...(await validateAttachments(env.ATTACHMENTS_BUCKET ? schema.attachments : null, files)));
 		if (errors.length > 0) {
-		  return new Response(
-			JSON.stringify({ error: 'Validation failed', details: errors }),
-			{ status: 422, headers: { ...corsHeaders, ...rateLimitHeaders } }
-		  );
+			return reject('validation_failed', { error: 'Validation failed', details: errors }, 422);
+		}
+
+		// Bot and spam defence
+		const turnstileToken = data['cf-turnstile-response'] || request.headers.get('CF-Turnstile-Token');
+		const turnstile = await verifyTurnstile(env, turnstileToken, clientIP);
+		if (!turnstile.success) {
+			return reject(
+				'turnstile_failed',
+				{ error: 'Verification failed', message: 'Bot verification failed', codes: turnstile.errorCodes },
+				403
+			);
+		}
+
+		const spam = await scoreSubmission(env, { data, values, email: values[schema.replyTo.email] });
+		if (spam.verdict !== 'ham') {
+			log.warn('Spam check', { formType, verdict: spam.verdict, score: spam.score, reasons: spam.reasons });
+		}
+		if (spam.verdict === 'reject') {
+			return reject('spam', { error: 'Submission rejected', message: 'Submission was flagged as spam' }, 422);
+		}
+
+		// Explicit `language` field, then Accept-Language, then the site's default
+		const language = negotiateLocale({
+			language: data.language,
+			acceptLanguage: request.headers.get('Accept-Language'),
+			defaultLocale: site.defaultLanguage,
+		});
+
+		// Verify-first forms email nothing but a confirmation link until the address is proven
+		const needsConfirmation = spam.verdict !== 'quarantine' && requiresConfirmation(site, formType);
+		if (needsConfirmation && !(env.SUBMISSIONS_KV && env.SIGNING_SECRET)) {
+			log.error('Form type requires confirmation but SUBMISSIONS_KV or SIGNING_SECRET is missing', { formType });
+			return reject('not_configured', { error: 'Service unavailable', message: 'Email confirmation is not configured' }, 503);
+		}
+
+		// A repeat of a recent submission (double-click, retry) is kept for the inbox but sends nothing
+		const fingerprint = await contentFingerprint({ siteId: site.id, formType, email: values[schema.replyTo.email], values, files });
+		const duplicateOf = spam.verdict === 'quarantine' ? null : await findDuplicate(env, fingerprint);
+
+		// Persist the submission before queuing delivery so the lead is never lost
+		const submission = buildSubmission({
+			siteId: site.id,
+			formType,
+			fields: values,
+			language,
+			ip: clientIP,
+			userAgent: request.headers.get('User-Agent') || '',
+			spam: spam.verdict === 'ham' ? null : spam,
+			requestId,
+			interview: schema.scheduling ? buildInterview(schema.scheduling, values) : null,
+			expiresAt: needsConfirmation ? new Date(Date.now() + confirmationTtl(env) * 1000).toISOString() : null,
+			duplicateOf,
+			consent,
+			lead: schema.lead ? buildLead(env, schema.lead, values) : null,
+		});
+		trace.submissionId = submission.id;
+		if (duplicateOf) {
+			trace.outcome = 'duplicate';
+			log.info('Duplicate submission', { formType, duplicateOf });
+			await saveSubmission(env, submission);
+			return respond({ success: true, message: 'Form submitted successfully', id: duplicateOf, duplicate: true }, 202);
 		}
-  
-		// Here you would implement your actual notification logic
-		// For now, we'll just log it
-		console.log('Notification to be sent:', notificationContent);
-  
-		// Simulate sending the notification
+
+		trace.outcome = needsConfirmation ? 'pending_confirmation' : spam.verdict === 'quarantine' ? 'quarantined' : 'accepted';
+		if (files.length > 0) {
+			submission.attachments = await storeAttachments(env, submission.id, files);
+		}
+		if (env.SUBMISSIONS_KV) {
+			await saveSubmission(env, submission);
+			await rememberSubmission(env, fingerprint, submission.id);
+		}
+
+		if (needsConfirmation) {
+			await requestConfirmation(env, ctx, { site, schema, submission, baseUrl: url.origin });
+			return respond(
+				{
+					success: true,
+					message: 'Please check your inbox and confirm your email address to complete the submission',
+					id: submission.id,
+					confirmationRequired: true,
+				},
+				202
+			);
+		}
+
+		// Notification, auto-reply and channels. Quarantined submissions stay in
+		// the inbox and are never sent anywhere.
+		if (spam.verdict !== 'quarantine') {
+			await deliverSubmission(env, ctx, { site, schema, submission, baseUrl: url.origin });
+		}
+
+		return respond({ success: true, message: 'Form submitted successfully', id: submission.id }, 202);
+	} catch (error) {
+		trace.outcome = 'error';
+		throw error;
+	}
+}
+
+const publicForm = (site, formType) => ({
+	...getPublicSchema(formType),
+	requiresConfirmation: requiresConfirmation(site, formType),
+	consent: requiresConsent(site, formType) ? { required: true, version: site.consentVersion } : null,
+});
+
+function listForms({ site }) {
+	const forms = site.formTypes.filter((formType) => getFormSchema(formType)).map((formType) => publicForm(site, formType));
+	return jsonResponse({ forms }, 200, { 'Cache-Control': 'public, max-age=300' });
+}
+
+function getForm({ site, params }) {
+	if (!site.formTypes.includes(params.formType) || !getFormSchema(params.formType)) {
+		return jsonResponse({ error: 'Not found', code: 'invalid_form_type', message: `Unknown form type: ${params.formType}` }, 404);
+	}
+	return jsonResponse(publicForm(site, params.formType), 200, { 'Cache-Control': 'public, max-age=300' });
+}
+
+const router = createRouter();
+const adminCors = cors({ headers: ADMIN_HEADERS });
+
+// Form API: the site's origins, the public form key for submissions
+router.post('/', cors(), requireApiKey, idempotency, handleSubmission);
+router.post('/v1/forms/:formType', cors(), requireApiKey, idempotency, handleSubmission);
+router.get('/v1/forms', cors(), listForms);
+router.get('/v1/forms/:formType', cors(), getForm);
+
+// Links from emails, opened in a browser; the signature is the credential
+router.get('/attachments/*', adminCors, ({ request, env }) => handleAttachmentDownload(request, env));
+router.get('/interviews/*', ({ request, env, ctx }) => handleInterviewRequest(request, env, ctx));
+router.post('/interviews/*', ({ request, env, ctx }) => handleInterviewRequest(request, env, ctx));
+router.get('/confirm/:token', ({ request, env, ctx }) => handleConfirmation(request, env, ctx));
+router.post('/confirm/:token', ({ request, env, ctx }) => handleConfirmation(request, env, ctx));
+
+// Liveness, usage and the admin inbox
+router.get('/health', cors({ origins: '*' }), ({ request, env }) => handleHealthRequest(request, env));
+router.get('/metrics', adminCors, requireAdmin, ({ request, env }) => handleMetricsRequest(request, env));
+router.all('/submissions/*', adminCors, requireAdmin, ({ request, env, ctx }) => handleAdminRequest(request, env, ctx));
+router.all('/dead-letters/*', adminCors, requireAdmin, ({ request, env, ctx }) => handleAdminRequest(request, env, ctx));
+router.get('/leads/export', adminCors, requireAdmin, ({ request, env }) => handleLeadExport(request, env));
+router.get('/privacy/export', adminCors, requireAdmin, ({ request, env }) => handlePrivacyExport(request, env));
+router.post('/privacy/erase', adminCors, requireAdmin, ({ request, env }) => handlePrivacyErase(request, env));
+
+export default {
+	async fetch(request, env, ctx) {
+		const requestId = getRequestId(request);
+		const trace = { requestId, log: createLogger({ requestId }) };
+		const startedAt = Date.now();
+		const url = new URL(request.url);
+
+		// Request context for the router and its middleware
+		const c = { request, env, ctx, url, trace, params: {}, corsHeaders: {} };
+		let response;
 		try {
-		  // Replace with actual notification sending code
-		  // await sendNotification(notificationContent);
-		  
-		  return new Response(
-			JSON.stringify({ success: true, message: 'Form submitted successfully' }),
-			{ status: 200, headers: { ...corsHeaders, ...rateLimitHeaders } }
-		  );
-		} catch (notificationError) {
-		  console.error('Notification failed:', notificationError);
-		  return new Response(
-			JSON.stringify({ error: 'Notification failed', message: 'Form was validated but we failed to process it' }),
-			{ status: 500, headers: { ...corsHeaders, ...rateLimitHeaders } }
-		  );
+			// Plain HTML forms cannot set headers, so the key may also come from the action URL
+			c.apiKey = request.headers.get('X-API-Key') || url.searchParams.get('apiKey');
+			c.site = await resolveSite(env, { apiKey: c.apiKey, keyId: request.headers.get('X-Key-Id'), origin: request.headers.get('Origin') });
+			response = await router.handle(c);
+		} catch (error) {
+			trace.log.error('Unhandled error', { err: error, path: loggedPath(url.pathname) });
+			// Keep the CORS headers so the browser lets the page read the error
+			response = withHeaders(internalError(), c.corsHeaders);
 		}
-  
-	  } catch (error) {
-		console.error('Server error:', error);
-		return new Response(
-		  JSON.stringify({ error: 'Internal server error', message: 'An unexpected error occurred' }),
-		  { status: 500, headers: corsHeaders }
-		);
-	  }
+		response = await withErrorEnvelope(response, requestId);
+
+		trace.log.info('Request completed', {
+			method: request.method,
+			path: loggedPath(url.pathname),
+			status: response.status,
+			durationMs: Date.now() - startedAt,
+			formType: trace.formType,
+			outcome: trace.outcome,
+			submissionId: trace.submissionId,
+			keyId: trace.keyId,
+		});
+		if (trace.outcome) {
+			// Requests without a valid key, or over the rate limit, are counted in Analytics Engine only
+			const persist = Boolean(c.key) && trace.outcome !== 'rate_limited';
+			ctx.waitUntil(
+				recordMetrics(env, [{ metric: 'submission', dimension: trace.formType || 'unknown', outcome: trace.outcome }], { persist })
+			);
+		}
+
+		// Every response carries the request id, so "I submitted and got nothing" can be traced
+		return withHeaders(response, { 'X-Request-Id': requestId });
+	},
+
+	async queue(batch, env, ctx) {
+		await handleDeliveryBatch(batch, env, ctx);
+	},
+
+	async scheduled(controller, env, ctx) {
+		ctx.waitUntil(purgeExpiredData(env, controller.scheduledTime));
 	},
-  };
\ No newline at end of file
+};
+
+export { RateLimiter } from './rateLimiter';
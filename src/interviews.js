@@ -0,0 +1,195 @@
+/**
+ * interviews.js
+ *
+ * Interview scheduling for form types with a `scheduling` block (see
+ * `formSchemas.js`). The proposed slots are stored on the submission in UTC,
+ * shown to the owner in the site's `timezone` next to the recruiter's own, and
+ * sent to both sides as an iCalendar invite with one tentative event per slot.
+ *
+ * The notification links to `GET /interviews/<id>/accept/<n>` and
+ * `GET /interviews/<id>/decline`, signed with `SIGNING_SECRET` and valid until
+ * the last slot starts. Opening a link shows a confirmation page; the decision
+ * is only recorded by the page's POST, so mail scanners that prefetch links
+ * cannot accept an interview. Accepting emails the recruiter a confirmation
+ * with the chosen slot as a confirmed event (same UID, so calendars update the
+ * tentative one); declining sends a polite decline.
+ */
+
+import { bytesToBase64 } from './attachments';
+import { buildCalendar } from './calendar';
+import { createDeliveryJob, enqueueDelivery } from './deliveryQueue';
+import { buildReply } from './emailService';
+import { loadTemplate } from './emailTemplates';
+import { getFormSchema } from './formSchemas';
+import { htmlPage } from './http';
+import { formatMessage, getMessage } from './i18n';
+import { signUrl, verifySignedUrl } from './signing';
+import { getDefaultSite, getSiteById } from './siteConfig';
+import { getSubmission, updateSubmission } from './submissionStore';
+import { renderTemplate } from './templateEngine';
+import { formatInTimeZone, toUtc } from './timezones';
+
+const MIN_LINK_TTL = 60 * 60;
+
+/**
+ * Builds the interview record kept on the submission from validated values.
+ *
+ * @returns {{ timezone: string, durationMinutes: number, slots: { n: number, field: string, start: string, end: string }[], status: string }}
+ */
+export function buildInterview(scheduling, values) {
+	const timezone = values[scheduling.timezone];
+	const durationMinutes = scheduling.durationMinutes || 60;
+	const slots = scheduling.slots
+		.filter((field) => values[field])
+		.map((field, index) => {
+			const start = toUtc(values[field], timezone);
+			const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+			return { n: index + 1, field, start: start.toISOString(), end: end.toISOString() };
+		});
+	return { timezone, durationMinutes, slots, status: 'proposed' };
+}
+
+const details = (submission) => {
+	const schema = getFormSchema(submission.formType);
+	const { fields } = submission;
+	return {
+		role: fields[schema.scheduling.role],
+		company: fields[schema.scheduling.company],
+		recruiter: { email: fields[schema.replyTo.email], name: fields[schema.replyTo.name] },
+	};
+};
+
+/**
+ * Builds the `.ics` attachment for a submission's interview: every proposed
+ * slot as a tentative event, or only `confirmedSlot` once one was accepted.
+ *
+ * @returns {{ filename: string, contentType: string, content: string }} base64 content, ready for the email providers
+ */
+export function calendarInvite(site, submission, confirmedSlot = null) {
+	const { role, company, recruiter } = details(submission);
+	const summary = company ? `Interview: ${role} - ${company}` : `Interview: ${role}`;
+	const domain = new URL(site.signature.website || 'https://localhost').hostname;
+	const slots = confirmedSlot ? [confirmedSlot] : submission.interview.slots;
+
+	const ics = buildCalendar({
+		events: slots.map((slot) => ({
+			uid: `${submission.id}-${slot.n}@${domain}`,
+			start: new Date(slot.start),
+			end: new Date(slot.end),
+			summary: confirmedSlot || slots.length === 1 ? summary : `${summary} (option ${slot.n})`,
+			status: confirmedSlot ? 'CONFIRMED' : 'TENTATIVE',
+			sequence: confirmedSlot ? 1 : 0,
+		})),
+		organizer: { email: site.signature.email || site.from.email, name: site.signature.name },
+		attendees: [recruiter],
+	});
+	return {
+		filename: 'interview.ics',
+		contentType: 'text/calendar; charset=utf-8; method=PUBLISH',
+		content: bytesToBase64(new TextEncoder().encode(ics)),
+	};
+}
+
+/**
+ * Context for the notification's interview block: each slot in the owner's
+ * and the recruiter's time zone, with signed accept links and a decline link
+ * (null without `SIGNING_SECRET`).
+ */
+export async function interviewLinks(env, baseUrl, site, submission) {
+	const { id, interview } = submission;
+	const lastStart = Math.max(...interview.slots.map((slot) => Date.parse(slot.start)));
+	const ttl = Math.max(MIN_LINK_TTL, Math.floor((lastStart - Date.now()) / 1000));
+	const link = (path) => (env.SIGNING_SECRET ? signUrl(env.SIGNING_SECRET, new URL(path, baseUrl), ttl) : null);
+
+	return {
+		slots: await Promise.all(
+			interview.slots.map(async (slot) => ({
+				n: slot.n,
+				ownerTime: formatInTimeZone(new Date(slot.start), site.timezone),
+				recruiterTime: formatInTimeZone(new Date(slot.start), interview.timezone),
+				acceptUrl: await link(`/interviews/${id}/accept/${slot.n}`),
+			}))
+		),
+		declineUrl: await link(`/interviews/${id}/decline`),
+	};
+}
+
+/**
+ * Builds the email telling the recruiter which slot was accepted, or that
+ * none was (`slot` null), in the submission's language.
+ */
+export async function buildInterviewReply(env, site, submission, slot) {
+	const { language } = submission;
+	const { role, recruiter } = details(submission);
+	const vars = { name: recruiter.name, role };
+	const subject = formatMessage(getMessage(language, slot ? 'interview.acceptedSubject' : 'interview.declinedSubject'), vars);
+
+	const template = await loadTemplate(env, 'interviewReply', submission.formType);
+	const html = renderTemplate(template, {
+		language,
+		subject,
+		intro: formatMessage(getMessage(language, slot ? 'interview.acceptedIntro' : 'interview.declinedIntro'), vars),
+		slot: slot ? formatInTimeZone(new Date(slot.start), submission.interview.timezone, language) : null,
+		calendarNote: slot ? getMessage(language, 'interview.calendarNote') : null,
+		regards: getMessage(language, 'labels.regards'),
+		signature: site.signature,
+	});
+
+	const email = buildReply(site, recruiter, subject, html);
+	if (slot) {
+		email.attachments = [calendarInvite(site, submission, slot)];
+	}
+	return email;
+}
+
+/**
+ * Serves the signed accept/decline links: `GET` shows a confirmation page,
+ * `POST` records the decision and queues the email to the recruiter.
+ */
+export async function handleInterviewRequest(request, env, ctx) {
+	const url = new URL(request.url);
+	const [, , id, action, slotNumber] = url.pathname.split('/');
+	if (!['accept', 'decline'].includes(action) || !(await verifySignedUrl(env.SIGNING_SECRET, url))) {
+		return htmlPage(403, { title: 'Link expired', message: 'This link is invalid or has expired.' });
+	}
+	if (!env.SUBMISSIONS_KV) {
+		return htmlPage(503, { title: 'Unavailable', message: 'Interview scheduling needs the submission store.' });
+	}
+
+	const submission = await getSubmission(env, id);
+	const interview = submission?.interview;
+	const slot = action === 'accept' ? interview?.slots.find((candidate) => candidate.n === Number(slotNumber)) : null;
+	if (!interview || (action === 'accept' && !slot)) {
+		return htmlPage(404, { title: 'Not found', message: 'This interview proposal no longer exists.' });
+	}
+
+	const { recruiter } = details(submission);
+	if (interview.status !== 'proposed') {
+		return htmlPage(409, { title: 'Already answered', message: `This proposal was already ${interview.status}.` });
+	}
+
+	const site = (await getSiteById(env, submission.siteId)) || getDefaultSite(env);
+	const when = slot && formatInTimeZone(new Date(slot.start), site.timezone);
+	if (request.method === 'GET') {
+		return htmlPage(200, {
+			title: slot ? 'Accept interview' : 'Decline interview',
+			message: slot ? `Accept the interview with ${recruiter.name} on ${when}?` : `Decline all proposed times from ${recruiter.name}?`,
+			action: url.pathname + url.search,
+			button: slot ? 'Accept' : 'Decline',
+		});
+	}
+
+	const status = slot ? 'accepted' : 'declined';
+	await updateSubmission(env, id, {
+		interview: { ...interview, status, chosenSlot: slot ? slot.n : null, decidedAt: new Date().toISOString() },
+	});
+	const email = await buildInterviewReply(env, site, submission, slot);
+	await enqueueDelivery(env, ctx, createDeliveryJob(id, { interviewReply: email }, { tracked: false }));
+
+	return htmlPage(200, {
+		title: slot ? 'Interview accepted' : 'Interview declined',
+		message: slot
+			? `${recruiter.name} will receive a confirmation for ${when}.`
+			: `${recruiter.name} will be told that none of the times work.`,
+	});
+}
@@ -0,0 +1,313 @@
+/**
+ * leads.js
+ *
+ * Turns submissions of form types with a `lead` mapping (`quote`,
+ * `recruiter_query`, see `formSchemas.js`) into CRM leads, so nobody retypes
+ * them by hand:
+ *
+ *  - `budget` free text becomes `{ currency, min, max }`: "$5k - 10k",
+ *    "KES 200,000", "5 million", "under €3,000" (`min: null`), "10000+"
+ *    (`max: null`). Years after words like "in" or a month are not amounts.
+ *    Without a currency marker, `LEAD_DEFAULT_CURRENCY` (default USD).
+ *  - `timeline` becomes `{ minWeeks, maxWeeks }`: "2-3 months" is 9-13,
+ *    "within 6 weeks" 0-6, "ASAP" 0-1.
+ *  - `companyDomain` is the email's domain, unless it is a free mailbox.
+ *  - `score` (0-100) ranks leads by how much we know about them and how big
+ *    and near-term they are.
+ *
+ * The lead is stored on the submission and its score in the listing
+ * metadata (`leadScore`). It leaves the worker through the `hubspot` and
+ * `sheets` channels (see `notificationChannels.js`) or as CSV:
+ *
+ *   GET /leads/export?formType=&cursor=&limit=   one page of leads, newest first; `X-Next-Cursor` continues
+ */
+
+import { jsonResponse } from './http';
+import { getSubmissions, listSubmissions } from './submissionStore';
+
+const DEFAULT_CURRENCY = 'USD';
+const MAX_PAGE_SIZE = 1000;
+// Spam, duplicates and unconfirmed submissions are not leads yet
+const EXPORTED_STATUSES = ['new', 'replied', 'archived'];
+
+// Rough rates, only used to compare budgets in different currencies when scoring
+const USD_RATES = {
+	USD: 1,
+	EUR: 1.08,
+	GBP: 1.27,
+	CAD: 0.73,
+	AUD: 0.66,
+	KES: 0.0077,
+	UGX: 0.00027,
+	TZS: 0.00038,
+	NGN: 0.00065,
+	ZAR: 0.055,
+	INR: 0.012,
+};
+const CURRENCY_SYMBOLS = [
+	['ksh', 'KES'],
+	['us$', 'USD'],
+	['$', 'USD'],
+	['€', 'EUR'],
+	['£', 'GBP'],
+	['₦', 'NGN'],
+	['₹', 'INR'],
+];
+const CURRENCY_CODE = new RegExp(`(?<![a-z])(${Object.keys(USD_RATES).join('|')})(?![a-z])`, 'i');
+// Not the 3 of a quarter such as "Q3"
+const AMOUNT = /(?<!\bq)(\d+(?:,\d{3})*(?:\.\d+)?)\s*(k|m|thousand|million)?\b/gi;
+const MULTIPLIERS = { k: 1e3, m: 1e6, thousand: 1e3, million: 1e6 };
+// "in 2025", "by March 2026", "Q3 2025": a year, not an amount
+const YEAR = /^(?:19|20)\d{2}$/;
+const BEFORE_YEAR =
+	/\b(?:in|by|until|till|before|after|since|during|early|mid|late|q[1-4]|jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)[\s,-]*$/i;
+const UPPER_BOUND = /\b(?:under|below|less than|up to|max(?:imum)?|within)\b|</i;
+const LOWER_BOUND = /\b(?:over|above|more than|from|at least|min(?:imum)?)\b|\+|>/i;
+
+const NUMBER_WORDS = {
+	a: 1,
+	an: 1,
+	one: 1,
+	couple: 2,
+	two: 2,
+	few: 3,
+	three: 3,
+	four: 4,
+	five: 5,
+	six: 6,
+	seven: 7,
+	eight: 8,
+	nine: 9,
+	ten: 10,
+	eleven: 11,
+	twelve: 12,
+};
+const NUMBER = `(\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})`;
+const DURATION = new RegExp(`\\b${NUMBER}(?:\\s*(?:-|–|to)\\s*${NUMBER})?(?:\\s+of)?\\s*(day|week|month|year)s?\\b`, 'gi');
+const WEEKS_PER_UNIT = { day: 1 / 7, week: 1, month: 52 / 12, year: 52 };
+const URGENT = /\b(?:asap|urgent(?:ly)?|immediately|right away)\b/i;
+
+const FREE_MAIL_DOMAINS = new Set([
+	'gmail.com',
+	'googlemail.com',
+	'yahoo.com',
+	'yahoo.co.uk',
+	'ymail.com',
+	'hotmail.com',
+	'outlook.com',
+	'live.com',
+	'msn.com',
+	'icloud.com',
+	'me.com',
+	'aol.com',
+	'proton.me',
+	'protonmail.com',
+	'gmx.com',
+	'gmx.de',
+	'mail.com',
+	'yandex.com',
+	'zoho.com',
+]);
+
+const BUDGET_TIERS_USD = [2000, 10000, 50000];
+
+function detectCurrency(text) {
+	const code = text.match(CURRENCY_CODE);
+	if (code) return code[1].toUpperCase();
+	const lower = text.toLowerCase();
+	return CURRENCY_SYMBOLS.find(([symbol]) => lower.includes(symbol))?.[1] || null;
+}
+
+const isYear = (text, { 1: digits, 2: suffix, index }) => !suffix && YEAR.test(digits) && BEFORE_YEAR.test(text.slice(0, index));
+
+/**
+ * Parses a free-text budget, or returns null when it holds no amount.
+ *
+ * @returns {{ currency: string, min: number|null, max: number|null } | null}
+ */
+export function parseBudget(text, defaultCurrency = DEFAULT_CURRENCY) {
+	if (!text) return null;
+	const amounts = [...text.matchAll(AMOUNT)]
+		.filter((match) => !isYear(text, match))
+		.map(([, digits, suffix]) => Number(digits.replace(/,/g, '')) * (MULTIPLIERS[suffix?.toLowerCase()] || 1));
+	if (amounts.length === 0) return null;
+
+	const currency = detectCurrency(text) || defaultCurrency;
+	if (amounts.length > 1) return { currency, min: Math.min(...amounts), max: Math.max(...amounts) };
+	const [amount] = amounts;
+	if (UPPER_BOUND.test(text)) return { currency, min: null, max: amount };
+	if (LOWER_BOUND.test(text)) return { currency, min: amount, max: null };
+	return { currency, min: amount, max: amount };
+}
+
+const toNumber = (value) => NUMBER_WORDS[value.toLowerCase()] ?? Number(value);
+
+/**
+ * Parses a free-text timeline into whole weeks, or returns null.
+ *
+ * @returns {{ minWeeks: number, maxWeeks: number } | null}
+ */
+export function parseTimeline(text) {
+	if (!text) return null;
+	const weeks = [...text.matchAll(DURATION)].flatMap(([, from, to, unit]) =>
+		[from, to].filter(Boolean).map((value) => toNumber(value) * WEEKS_PER_UNIT[unit.toLowerCase()])
+	);
+	if (weeks.length === 0) return URGENT.test(text) ? { minWeeks: 0, maxWeeks: 1 } : null;
+
+	const maxWeeks = Math.max(Math.round(Math.max(...weeks)), 1);
+	const minWeeks = weeks.length === 1 && UPPER_BOUND.test(text) ? 0 : Math.round(Math.min(...weeks));
+	return { minWeeks, maxWeeks };
+}
+
+/**
+ * The company's domain from a business email address, or null for free mailboxes.
+ */
+export function companyDomain(email) {
+	const domain = email?.split('@')[1]?.trim().toLowerCase();
+	return domain && !FREE_MAIL_DOMAINS.has(domain) ? domain : null;
+}
+
+/**
+ * 0-100. Completeness (business email, company, phone, a real description)
+ * and intent (budget size, how soon they want to start).
+ */
+export function scoreLead(lead) {
+	let score = 0;
+	if (lead.companyDomain) score += 20;
+	if (lead.company) score += 10;
+	if (lead.phone) score += 10;
+	if (lead.description?.length >= 50) score += 10;
+	if (lead.budget) {
+		const usd = (lead.budget.max ?? lead.budget.min) * (USD_RATES[lead.budget.currency] ?? 1);
+		score += 10 + BUDGET_TIERS_USD.filter((tier) => usd >= tier).length * 10;
+	}
+	if (lead.timeline) {
+		score += lead.timeline.maxWeeks <= 12 ? 20 : 10;
+	}
+	return Math.min(score, 100);
+}
+
+/**
+ * Builds the lead for a submission's sanitized values from the schema's
+ * `lead` mapping.
+ */
+export function buildLead(env, mapping, values) {
+	const value = (key) => (mapping[key] && values[mapping[key]]) || null;
+	const lead = {
+		name: value('name'),
+		email: value('email'),
+		phone: value('phone'),
+		company: value('company'),
+		companyDomain: companyDomain(value('email')),
+		description: value('description'),
+		budget: parseBudget(value('budget'), env.LEAD_DEFAULT_CURRENCY || DEFAULT_CURRENCY),
+		budgetText: value('budget'),
+		timeline: parseTimeline(value('timeline')),
+		timelineText: value('timeline'),
+	};
+	return { ...lead, score: scoreLead(lead) };
+}
+
+export const LEAD_COLUMNS = [
+	'submissionId',
+	'createdAt',
+	'formType',
+	'score',
+	'name',
+	'email',
+	'phone',
+	'company',
+	'companyDomain',
+	'budgetCurrency',
+	'budgetMin',
+	'budgetMax',
+	'timelineMinWeeks',
+	'timelineMaxWeeks',
+	'budget',
+	'timeline',
+	'description',
+];
+
+/**
+ * Flattens a submission's lead into the `LEAD_COLUMNS` used by the CSV export
+ * and the connectors.
+ *
+ * @param {{ id: string, createdAt: string, formType: string, lead: object }} submission
+ */
+export function leadRecord({ id, createdAt, formType, lead }) {
+	return {
+		submissionId: id,
+		createdAt,
+		formType,
+		score: lead.score,
+		name: lead.name,
+		email: lead.email,
+		phone: lead.phone,
+		company: lead.company,
+		companyDomain: lead.companyDomain,
+		budgetCurrency: lead.budget?.currency ?? null,
+		budgetMin: lead.budget?.min ?? null,
+		budgetMax: lead.budget?.max ?? null,
+		timelineMinWeeks: lead.timeline?.minWeeks ?? null,
+		timelineMaxWeeks: lead.timeline?.maxWeeks ?? null,
+		budget: lead.budgetText,
+		timeline: lead.timelineText,
+		description: lead.description,
+	};
+}
+
+// Spreadsheets run text starting with these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const spreadsheetValue = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : (value ?? ''));
+
+/**
+ * The lead as a spreadsheet row in `LEAD_COLUMNS` order. With
+ * `escapeFormulas` (the CSV export), text that a spreadsheet would run as a
+ * formula is quoted with a leading `'`. Leave it off where values are stored
+ * as typed, such as the Sheets API with `valueInputOption=RAW`, which would
+ * keep the `'` and turn `+254 700 000000` into `'+254 700 000000`.
+ *
+ * @param {object} submission
+ * @param {{ escapeFormulas?: boolean }} [options]
+ */
+export function leadRow(submission, { escapeFormulas = true } = {}) {
+	const record = leadRecord(submission);
+	return LEAD_COLUMNS.map((column) => (escapeFormulas ? spreadsheetValue(record[column]) : (record[column] ?? '')));
+}
+
+const csvCell = (value) => {
+	const text = String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map((row) => `${row.map(csvCell).join(',')}\r\n`).join('');
+
+/**
+ * Serves `GET /leads/export`: one page of stored submissions, as CSV rows
+ * for the ones that are leads.
+ */
+export async function handleLeadExport(request, env) {
+	if (!env.SUBMISSIONS_KV) {
+		return jsonResponse({ error: 'Service unavailable', message: 'Submission storage is not configured' }, 503);
+	}
+
+	const url = new URL(request.url);
+	const page = await listSubmissions(env, {
+		formType: url.searchParams.get('formType') || undefined,
+		cursor: url.searchParams.get('cursor') || undefined,
+		limit: Math.min(Number(url.searchParams.get('limit')) || MAX_PAGE_SIZE, MAX_PAGE_SIZE),
+	});
+	const ids = page.submissions
+		.filter(({ leadScore, status }) => leadScore !== undefined && EXPORTED_STATUSES.includes(status))
+		.map(({ id }) => id);
+	const rows = (await getSubmissions(env, ids)).filter((record) => record.lead).map((record) => leadRow(record));
+
+	const headers = {
+		'Content-Type': 'text/csv; charset=utf-8',
+		'Content-Disposition': `attachment; filename="leads-${new Date().toISOString().slice(0, 10)}.csv"`,
+		'Cache-Control': 'no-store',
+	};
+	if (page.cursor) headers['X-Next-Cursor'] = page.cursor;
+	return new Response(toCsv([LEAD_COLUMNS, ...rows]), { headers });
+}
@@ -0,0 +1,72 @@
+/**
+ * logger.js
+ *
+ * Structured JSON logging. Every line is a single JSON object with `level`,
+ * `msg`, `time` and the logger's context (such as `requestId`), so Workers
+ * Logs and Logpush can filter on any field and follow one request through.
+ *
+ * Fields are redacted before they are written: values under personal-data keys
+ * (email, name, phone, message, ip, ...) and credentials are replaced, and
+ * email addresses and IP addresses inside any other string are masked. Log
+ * what happened and to which submission, never the submitted data itself.
+ */
+
+const PII_KEY =
+	/^(.*email.*|.*name|phone|message|messageBody|project|subject|body|fields|values|data|ip|clientIp|userAgent|to|from|replyTo)$/i;
+const SECRET_KEY = /(token|secret|password|apiKey|api_key|authorization|signature|cookie)/i;
+
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+const IPV4 = /\b\d{1,3}(\.\d{1,3}){3}\b/g;
+const IPV6 = /\b[0-9a-f]{0,4}(:[0-9a-f]{0,4}){2,7}\b/gi;
+
+const MAX_DEPTH = 5;
+
+// Clock times like 12:30:45 also look like IPv6; real addresses have `::` or more groups
+const maskIpv6 = (match) => (match.includes('::') || match.split(':').length > 3 ? '[ip]' : match);
+
+const scrub = (value) => value.replace(EMAIL, '[email]').replace(IPV6, maskIpv6).replace(IPV4, '[ip]');
+
+/**
+ * Returns a copy of `value` that is safe to log.
+ */
+export function redact(value, depth = 0) {
+	if (typeof value === 'string') return scrub(value);
+	if (value instanceof Error) {
+		return { name: value.name, message: scrub(value.message), stack: value.stack && scrub(value.stack) };
+	}
+	if (!value || typeof value !== 'object') return value;
+	if (depth >= MAX_DEPTH) return '[truncated]';
+	if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+	return Object.fromEntries(
+		Object.entries(value).map(([key, item]) => [key, PII_KEY.test(key) || SECRET_KEY.test(key) ? '[redacted]' : redact(item, depth + 1)])
+	);
+}
+
+const CONSOLE_METHOD = { info: 'log', warn: 'warn', error: 'error' };
+
+/**
+ * Creates a logger whose lines all carry `context`.
+ *
+ * @param {object} [context]
+ * @returns {{ info: Function, warn: Function, error: Function, child: (fields: object) => object }}
+ */
+export function createLogger(context = {}) {
+	const write = (level, msg, fields = {}) => {
+		console[CONSOLE_METHOD[level]](
+			JSON.stringify({ level, msg: scrub(msg), time: new Date().toISOString(), ...redact({ ...context, ...fields }) })
+		);
+	};
+
+	return {
+		info: (msg, fields) => write('info', msg, fields),
+		warn: (msg, fields) => write('warn', msg, fields),
+		error: (msg, fields) => write('error', msg, fields),
+		child: (fields) => createLogger({ ...context, ...fields }),
+	};
+}
+
+/**
+ * Logger for code that runs outside a request (queue consumer, config parsing).
+ */
+export const log = createLogger();
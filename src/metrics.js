@@ -0,0 +1,150 @@
+/**
+ * metrics.js
+ *
+ * Counters for submissions, emails and channels. An event is a metric, a
+ * dimension and an outcome:
+ *
+ *   submission  <formType>  accepted | pending_confirmation | quarantined | duplicate | idempotent_replay | <rejection reason>
+ *   email       <provider>  sent | failed
+ *   channel     <type>      sent | failed
+ *
+ * Events go to Workers Analytics Engine when the `ANALYTICS` binding exists
+ * (blobs: metric, dimension, outcome; double: count) and to `SUBMISSIONS_KV`
+ * for `GET /metrics`. KV counts are aggregated per isolate and written at
+ * most once a minute as their own key, `metrics:<YYYY-MM-DD>:<id>`, with the
+ * counts in the key's metadata, so concurrent writers never lose an increment
+ * and a day is summed with list calls alone. Counts buffered when an isolate
+ * is evicted are lost, so the KV numbers are a close estimate; Analytics
+ * Engine has every event. The keys expire after 90 days.
+ *
+ * Callers skip KV (`persist: false`) for traffic that has not proven itself,
+ * such as bad API keys and rate-limited requests, so a flood cannot spend
+ * the KV write quota that submissions need.
+ */
+
+import { log } from './logger';
+
+const PREFIX = 'metrics:';
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+const MAX_DAYS = 90;
+const FLUSH_INTERVAL_MS = 60 * 1000;
+// KV metadata is limited to 1024 bytes once serialized
+const MAX_METADATA_BYTES = 1000;
+
+// Counts not yet written to KV, shared by every request this isolate serves
+let pending = {};
+let lastFlushAt = 0;
+
+export const ACCEPTED_OUTCOMES = ['accepted', 'pending_confirmation', 'quarantined'];
+// Repeats of an earlier submission: neither a new lead nor a rejection
+export const DUPLICATE_OUTCOMES = ['duplicate', 'idempotent_replay'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Splits counts into groups that each fit in one key's metadata
+function metadataChunks(counts) {
+	const chunks = [{}];
+	for (const [name, count] of Object.entries(counts)) {
+		const last = chunks[chunks.length - 1];
+		if (Object.keys(last).length > 0 && JSON.stringify({ ...last, [name]: count }).length > MAX_METADATA_BYTES) {
+			chunks.push({ [name]: count });
+		} else {
+			last[name] = count;
+		}
+	}
+	return chunks;
+}
+
+/**
+ * Records a batch of events. Never throws; metrics must not break requests.
+ *
+ * @param {object} env
+ * @param {{ metric: string, dimension: string, outcome: string }[]} events
+ * @param {{ persist?: boolean }} [options] - `persist: false` sends the events to Analytics Engine only
+ */
+export async function recordMetrics(env, events, { persist = true } = {}) {
+	if (events.length === 0) return;
+
+	try {
+		if (env.ANALYTICS) {
+			for (const { metric, dimension, outcome } of events) {
+				env.ANALYTICS.writeDataPoint({ indexes: [metric], blobs: [metric, dimension, outcome], doubles: [1] });
+			}
+		}
+		if (!persist || !env.SUBMISSIONS_KV) return;
+
+		for (const { metric, dimension, outcome } of events) {
+			const name = [metric, dimension, outcome].join('|');
+			pending[name] = (pending[name] || 0) + 1;
+		}
+		if (Date.now() - lastFlushAt < FLUSH_INTERVAL_MS) return;
+
+		const counts = pending;
+		pending = {};
+		lastFlushAt = Date.now();
+		for (const metadata of metadataChunks(counts)) {
+			await env.SUBMISSIONS_KV.put(`${PREFIX}${today()}:${crypto.randomUUID()}`, '', { metadata, expirationTtl: RETENTION_SECONDS });
+		}
+	} catch (err) {
+		log.warn('Failed to record metrics', { err });
+	}
+}
+
+const rate = ({ sent = 0, failed = 0 }) => (sent + failed ? Math.round((sent / (sent + failed)) * 1000) / 1000 : null);
+
+async function listDay(env, date) {
+	const batches = [];
+	let cursor;
+	do {
+		const page = await env.SUBMISSIONS_KV.list({ prefix: `${PREFIX}${date}:`, cursor });
+		batches.push(...page.keys.map(({ metadata }) => metadata || {}));
+		cursor = page.list_complete ? null : page.cursor;
+	} while (cursor);
+	return batches;
+}
+
+/**
+ * Summarises the counters of the last `days` days (today included).
+ */
+export async function getMetricsSummary(env, days = 7) {
+	const span = Math.min(Math.max(Math.floor(days) || 1, 1), MAX_DAYS);
+	const dates = Array.from({ length: span }, (_, i) => new Date(Date.now() - i * 86400000).toISOString().slice(0, 10));
+	const batches = (await Promise.all(dates.map((date) => listDay(env, date)))).flat();
+
+	const submissions = {};
+	const rejections = {};
+	const delivery = { email: {}, channel: {} };
+	for (const counts of batches) {
+		for (const [name, count] of Object.entries(counts)) {
+			const [metric, dimension, outcome] = name.split('|');
+			if (metric === 'submission') {
+				submissions[dimension] ??= { total: 0, accepted: 0, duplicates: 0, rejected: 0, outcomes: {} };
+				const entry = submissions[dimension];
+				entry.total += count;
+				entry.outcomes[outcome] = (entry.outcomes[outcome] || 0) + count;
+				if (ACCEPTED_OUTCOMES.includes(outcome)) {
+					entry.accepted += count;
+				} else if (DUPLICATE_OUTCOMES.includes(outcome)) {
+					entry.duplicates += count;
+				} else {
+					entry.rejected += count;
+					rejections[outcome] = (rejections[outcome] || 0) + count;
+				}
+			} else if (delivery[metric]) {
+				delivery[metric][dimension] ??= { sent: 0, failed: 0 };
+				delivery[metric][dimension][outcome] = (delivery[metric][dimension][outcome] || 0) + count;
+			}
+		}
+	}
+
+	const withRates = (group) =>
+		Object.fromEntries(Object.entries(group).map(([name, counts]) => [name, { ...counts, successRate: rate(counts) }]));
+	return {
+		from: dates[dates.length - 1],
+		to: dates[0],
+		submissions,
+		rejections,
+		emails: withRates(delivery.email),
+		channels: withRates(delivery.channel),
+	};
+}
@@ -0,0 +1,151 @@
+/**
+ * middleware.js
+ *
+ * Per-route middleware for the router (see `router.js`):
+ *
+ *  - `cors(options)`: answers preflights and adds the CORS headers. Form
+ *    routes only allow the site's origins; `origins: '*'` is for public
+ *    read-only routes such as `/health`.
+ *  - `requireApiKey`: a key from the key store (`X-API-Key` or `?apiKey`), or
+ *    a request signed with one (see `apiKeys.js`). The key must be active
+ *    and, for browser requests, allowed for the request's origin.
+ *  - `requireAdmin`: the admin bearer token (`ADMIN_API_KEY`).
+ *  - `idempotency`: replays the stored response for a repeated
+ *    `Idempotency-Key` (see `deduplication.js`).
+ *
+ * Auth middleware goes after `cors()`, because browsers send preflights
+ * without credentials.
+ */
+
+import { findApiKey, findSigningKey, getGlobalKeys, keyStatus, verifyRequestSignature } from './apiKeys';
+import { isAdminRequest } from './auth';
+import { getIdempotentResult, isValidIdempotencyKey, markIdempotencyInProgress, saveIdempotentResult } from './deduplication';
+import { jsonResponse, withHeaders } from './http';
+import { isAllowedOrigin, originMatches } from './siteConfig';
+
+export const FORM_HEADERS = ['Content-Type', 'X-API-Key', 'CF-Turnstile-Token', 'X-Request-Id', 'Idempotency-Key'];
+export const ADMIN_HEADERS = ['Content-Type', 'Authorization', 'X-Request-Id'];
+
+/**
+ * @param {{ origins?: 'site' | '*', headers?: string[] }} [options]
+ */
+export function cors({ origins = 'site', headers = FORM_HEADERS } = {}) {
+	return async (c, next) => {
+		const origin = c.request.headers.get('Origin');
+		const corsHeaders = {
+			'Access-Control-Allow-Origin': origins === '*' ? '*' : isAllowedOrigin(c.site, origin) ? origin : 'null',
+			'Access-Control-Allow-Methods': [...c.allowedMethods, 'OPTIONS'].join(', '),
+			'Access-Control-Allow-Headers': headers.join(', '),
+			'Access-Control-Expose-Headers': 'X-Request-Id, Idempotent-Replayed, X-Next-Cursor',
+		};
+		if (origins !== '*') {
+			corsHeaders.Vary = 'Origin';
+		}
+		c.corsHeaders = corsHeaders;
+
+		if (c.preflight) {
+			return new Response(null, { status: 204, headers: corsHeaders });
+		}
+		return withHeaders(await next(), corsHeaders);
+	};
+}
+
+const KEY_STATUS_MESSAGES = {
+	expired: 'This API key has expired',
+	not_yet_valid: 'This API key is not valid yet',
+};
+
+/**
+ * Authenticates the form key and sets it as `c.key`. Rejections are counted
+ * as the submission's outcome.
+ */
+export async function requireApiKey(c, next) {
+	const { request, env, site, trace } = c;
+	const deny = (code, message, status = 401) => {
+		trace.outcome = code;
+		return jsonResponse({ error: status === 401 ? 'Unauthorized' : 'Forbidden', code, message }, status);
+	};
+
+	const keys = [...site.apiKeys, ...getGlobalKeys(env)];
+	const signed = request.headers.has('X-Signature');
+	const key = signed ? findSigningKey(keys, request.headers.get('X-Key-Id')) : await findApiKey(keys, c.apiKey);
+	if (!key) {
+		return deny('unauthorized', signed ? 'Unknown signing key' : 'Invalid API key');
+	}
+	trace.keyId = key.id;
+
+	const status = keyStatus(key);
+	if (status !== 'active') {
+		return deny(`key_${status}`, KEY_STATUS_MESSAGES[status]);
+	}
+	if (signed) {
+		const signature = await verifyRequestSignature(env, request, key);
+		if (!signature.valid) return deny(signature.code, signature.message);
+	} else if (key.origins.length > 0 && !key.origins.some((pattern) => originMatches(pattern, request.headers.get('Origin')))) {
+		// Server-to-server callers have no origin to check; they sign their requests instead
+		return deny('origin_not_allowed', 'This API key is not valid for this origin', 403);
+	}
+
+	c.key = key;
+	return next();
+}
+
+export async function requireAdmin(c, next) {
+	if (!isAdminRequest(c.request, c.env)) {
+		return jsonResponse({ error: 'Unauthorized', code: 'unauthorized', message: 'Invalid admin credentials' }, 401);
+	}
+	return next();
+}
+
+/**
+ * Runs a submission at most once per `Idempotency-Key`. Successful responses
+ * are stored and replayed; every other response releases the key, so a
+ * client that fixes a rejected submission can send it again with the same key.
+ */
+export async function idempotency(c, next) {
+	const { request, env, site, trace } = c;
+	const key = request.headers.get('Idempotency-Key');
+	if (key === null || !env.SUBMISSIONS_KV) return next();
+	if (!isValidIdempotencyKey(key)) {
+		return jsonResponse(
+			{ error: 'Bad request', code: 'invalid_idempotency_key', message: 'Idempotency-Key must be 1-255 printable ASCII characters' },
+			400
+		);
+	}
+
+	const scope = `${site.id}:${c.key.id || c.apiKey}`;
+	const stored = await getIdempotentResult(env, scope, key);
+	if (stored?.state === 'in_progress') {
+		return jsonResponse(
+			{ error: 'Conflict', code: 'request_in_progress', message: 'A request with this Idempotency-Key is still being processed' },
+			409,
+			{ 'Retry-After': '1' }
+		);
+	}
+	if (stored) {
+		trace.formType = stored.formType;
+		trace.outcome = 'idempotent_replay';
+		return new Response(stored.body, {
+			status: stored.status,
+			headers: { 'Content-Type': 'application/json', 'Idempotent-Replayed': 'true' },
+		});
+	}
+
+	await markIdempotencyInProgress(env, scope, key);
+	let response;
+	try {
+		response = await next();
+	} catch (err) {
+		await saveIdempotentResult(env, scope, key, null);
+		throw err;
+	}
+
+	const accepted = response.ok && response.headers.get('Content-Type')?.startsWith('application/json');
+	await saveIdempotentResult(
+		env,
+		scope,
+		key,
+		accepted ? { status: response.status, body: await response.clone().text(), formType: trace.formType } : null
+	);
+	return response;
+}
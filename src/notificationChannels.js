@@ -0,0 +1,334 @@
+/**
+ * notificationChannels.js
+ *
+ * Fans a submission out to chat and webhook channels in addition to email.
+ * Channels are configured per site (`channels` in the site config, or the
+ * `NOTIFICATION_CHANNELS` env var for the default site):
+ *
+ *   { "type": "slack",    "url": "https://hooks.slack.com/services/..." }
+ *   { "type": "discord",  "url": "https://discord.com/api/webhooks/..." }
+ *   { "type": "telegram", "botToken": "123:abc", "chatId": "-100123" }
+ *   { "type": "webhook",  "url": "https://crm.example.com/hooks/leads", "secret": "..." }
+ *
+ * CRM connectors only receive submissions that are leads (see `leads.js`):
+ *
+ *   { "type": "hubspot", "token": "pat-...", "properties": { "lead_score": "score" } }
+ *   { "type": "sheets",  "url": "https://sheets.googleapis.com/v4/spreadsheets/<id>/values/Leads!A1:append?valueInputOption=RAW", "token": "..." }
+ *
+ * `hubspot` creates a contact through the CRM contacts API (`url` overrides
+ * `https://api.hubapi.com`); `properties` maps extra HubSpot properties to
+ * lead columns. `sheets` appends `{ "values": [row] }` in the CSV export's
+ * column order to any append endpoint, with `token` as a bearer token. The
+ * values are sent as entered, so keep `valueInputOption=RAW`:
+ * `USER_ENTERED` would run text such as `=HYPERLINK(...)` as a formula.
+ *
+ * Every channel may also set `name` (defaults to the type; must be unique per
+ * site) and `formTypes` to limit it to some forms.
+ *
+ * Channels run as their own job on the delivery queue, separate from the
+ * emails, and each one is tracked and retried on its own, so a broken hook
+ * never delays or fails email delivery. Results are stored per submission
+ * (see `setChannelStatus`). Generic webhooks are signed: `X-Webhook-Signature`
+ * is `sha256=<hex HMAC of "<timestamp>.<body>">` keyed by the channel's
+ * `secret`, and `X-Webhook-Timestamp` carries the unix timestamp.
+ */
+
+import { backoffSeconds, enqueueDelivery } from './deliveryQueue';
+import { leadRecord, leadRow } from './leads';
+import { log } from './logger';
+import { recordMetrics } from './metrics';
+import { signHex } from './signing';
+import { getSiteById } from './siteConfig';
+import { setChannelStatus } from './submissionStore';
+import { escapeHtml } from './templateEngine';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+const truncate = (value, max) => (value.length > max ? `${value.slice(0, max - 1)}…` : value);
+
+const resultFromResponse = async (response) => ({
+	ok: response.ok,
+	status: response.status,
+	retryable: response.status >= 500 || response.status === 429,
+	error: response.ok ? undefined : truncate(await response.text(), 500),
+});
+
+async function post(env, url, body, headers = {}) {
+	const controller = new AbortController();
+	const timer = setTimeout(() => controller.abort(), Number(env.CHANNEL_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS);
+	try {
+		const response = await fetch(url, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', ...headers },
+			body,
+			signal: controller.signal,
+		});
+		return resultFromResponse(response);
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
+const escapeSlack = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const slack = {
+	send(env, channel, event) {
+		const fields = event.summary.map(({ label, value }) => ({
+			type: 'mrkdwn',
+			text: truncate(`*${escapeSlack(label)}*\n${escapeSlack(value || 'N/A')}`, 2000),
+		}));
+		const blocks = [{ type: 'header', text: { type: 'plain_text', text: truncate(event.heading, 150) } }];
+		// Slack allows at most 10 fields per section
+		for (let i = 0; i < fields.length; i += 10) {
+			blocks.push({ type: 'section', fields: fields.slice(i, i + 10) });
+		}
+		if (event.submission.spam) {
+			blocks.push({
+				type: 'context',
+				elements: [{ type: 'mrkdwn', text: `:warning: Possible spam (score ${event.submission.spam.score})` }],
+			});
+		}
+		blocks.push({
+			type: 'context',
+			elements: [{ type: 'mrkdwn', text: `Submission ${event.submission.id} · ${event.submission.createdAt}` }],
+		});
+
+		return post(env, channel.url, JSON.stringify({ text: event.subject, blocks }));
+	},
+};
+
+const discord = {
+	send(env, channel, event) {
+		const embed = {
+			title: truncate(event.heading, 256),
+			description: truncate(event.subject, 4096),
+			color: event.submission.spam ? 0xffa500 : 0x007acc,
+			fields: event.summary.slice(0, 25).map(({ label, value }) => ({
+				name: truncate(label, 256),
+				value: truncate(value || 'N/A', 1024),
+				inline: (value || '').length <= 40,
+			})),
+			footer: { text: `Submission ${event.submission.id}` },
+			timestamp: event.submission.createdAt,
+		};
+		return post(env, channel.url, JSON.stringify({ embeds: [embed], allowed_mentions: { parse: [] } }));
+	},
+};
+
+const TELEGRAM_MAX_LENGTH = 4096;
+
+// Escapes `value` and shortens it to at most `max` characters without cutting an entity
+function escapeHtmlWithin(value, max) {
+	const escaped = escapeHtml(value);
+	if (escaped.length <= max) return escaped;
+
+	let out = '';
+	for (const char of value) {
+		const next = escapeHtml(char);
+		if (out.length + next.length > max - 1) break;
+		out += next;
+	}
+	return `${out}…`;
+}
+
+const telegram = {
+	send(env, channel, event) {
+		const footer = [`<i>Submission ${event.submission.id}</i>`];
+		if (event.submission.spam) footer.unshift(`⚠️ Possible spam (score ${event.submission.spam.score})`);
+
+		// Values are cut before the markup goes around them, so every tag stays closed
+		const lines = [`<b>${escapeHtml(event.heading)}</b>`];
+		let room = TELEGRAM_MAX_LENGTH - footer.join('\n').length - lines[0].length - 1;
+		for (const { label, value } of event.summary) {
+			const prefix = `<b>${escapeHtml(label)}:</b> `;
+			if (room < prefix.length + 2) break;
+			const line = prefix + escapeHtmlWithin(value || 'N/A', room - prefix.length - 1);
+			lines.push(line);
+			room -= line.length + 1;
+		}
+
+		return post(
+			env,
+			`https://api.telegram.org/bot${channel.botToken}/sendMessage`,
+			JSON.stringify({
+				chat_id: channel.chatId,
+				text: [...lines, ...footer].join('\n'),
+				parse_mode: 'HTML',
+				disable_web_page_preview: true,
+			})
+		);
+	},
+};
+
+const webhook = {
+	async send(env, channel, event) {
+		const body = JSON.stringify(event);
+		const timestamp = String(Math.floor(Date.now() / 1000));
+		const headers = { 'X-Webhook-Id': event.submission.id, 'X-Webhook-Timestamp': timestamp };
+		if (channel.secret) {
+			headers['X-Webhook-Signature'] = `sha256=${await signHex(channel.secret, `${timestamp}.${body}`)}`;
+		}
+		return post(env, channel.url, body, headers);
+	},
+};
+
+const bearer = (token) => (token ? { Authorization: `Bearer ${token}` } : {});
+
+const withoutEmpty = (object) =>
+	Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+
+const hubspot = {
+	leadsOnly: true,
+	async send(env, channel, event) {
+		const lead = leadRecord(event.submission);
+		const [firstname, ...lastname] = (lead.name || '').split(/\s+/);
+		const properties = {
+			email: lead.email,
+			firstname,
+			lastname: lastname.join(' '),
+			phone: lead.phone,
+			company: lead.company,
+			website: lead.companyDomain && `https://${lead.companyDomain}`,
+			...Object.fromEntries(Object.entries(channel.properties || {}).map(([property, column]) => [property, lead[column]])),
+		};
+		const baseUrl = (channel.url || 'https://api.hubapi.com').replace(/\/$/, '');
+		const result = await post(
+			env,
+			`${baseUrl}/crm/v3/objects/contacts`,
+			JSON.stringify({ properties: withoutEmpty(properties) }),
+			bearer(channel.token)
+		);
+		// A contact with this email already exists, which is as good as created
+		return result.status === 409 ? { ...result, ok: true, error: undefined } : result;
+	},
+};
+
+const sheets = {
+	leadsOnly: true,
+	send(env, channel, event) {
+		// RAW input never runs formulas, and would keep the CSV export's escaping `'`
+		const row = leadRow(event.submission, { escapeFormulas: false });
+		return post(env, channel.url, JSON.stringify({ values: [row] }), bearer(channel.token));
+	},
+};
+
+export const channelTypes = { slack, discord, telegram, webhook, hubspot, sheets };
+
+/**
+ * Builds the channel-neutral event sent to every channel (and, as is, to
+ * generic webhooks).
+ */
+export function buildChannelEvent({ schema, submission, subject }) {
+	return {
+		event: 'submission.created',
+		subject,
+		heading: schema.notification.heading,
+		summary: schema.notification.fields.map((name) => ({ name, label: schema.fields[name].label, value: submission.fields[name] ?? '' })),
+		submission: {
+			id: submission.id,
+			siteId: submission.siteId,
+			formType: submission.formType,
+			language: submission.language,
+			createdAt: submission.createdAt,
+			fields: submission.fields,
+			spam: submission.spam,
+			attachments: (submission.attachments || []).map(({ filename, contentType, size }) => ({ filename, contentType, size })),
+			lead: submission.lead || null,
+		},
+	};
+}
+
+/**
+ * Returns the site's channels that apply to a form type.
+ */
+export const channelsFor = (site, formType) =>
+	site.channels.filter((channel) => !channel.formTypes || channel.formTypes.includes(formType));
+
+/**
+ * Queues a channel job for the submission. Channel settings (URLs, tokens,
+ * secrets) are looked up again when the job runs, so they never sit in the
+ * queue or in stored results.
+ */
+export async function dispatchChannels(env, ctx, { site, schema, submission, subject }) {
+	// CRM connectors skip submissions that are not leads
+	const channels = channelsFor(site, submission.formType).filter((channel) => submission.lead || !channelTypes[channel.type]?.leadsOnly);
+	if (channels.length === 0) return null;
+
+	const job = {
+		id: crypto.randomUUID(),
+		kind: 'channels',
+		submissionId: submission.id,
+		siteId: site.id,
+		attempt: 1,
+		event: buildChannelEvent({ schema, submission, subject }),
+		results: Object.fromEntries(channels.map((channel) => [channel.name, null])),
+	};
+	await enqueueDelivery(env, ctx, job);
+	return job;
+}
+
+const pendingChannels = (job) =>
+	Object.keys(job.results).filter((name) => !job.results[name] || (!job.results[name].ok && job.results[name].retryable));
+
+async function sendToChannel(env, channel, event) {
+	const type = channel && channelTypes[channel.type];
+	if (!type) {
+		return {
+			ok: false,
+			status: 0,
+			retryable: false,
+			error: channel ? `Unknown channel type: ${channel.type}` : 'Channel is no longer configured',
+		};
+	}
+
+	try {
+		return await type.send(env, channel, event);
+	} catch (err) {
+		const timedOut = err.name === 'AbortError';
+		return { ok: false, status: timedOut ? 504 : 502, retryable: true, error: timedOut ? 'Request timed out' : err.message };
+	}
+}
+
+/**
+ * Sends the job's pending channels, records the results and reschedules the
+ * ones that failed with a retryable error.
+ */
+export async function processChannelJob(env, ctx, job) {
+	const maxAttempts = Number(env.CHANNEL_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+	const site = await getSiteById(env, job.siteId);
+	const names = pendingChannels(job);
+	const channels = names.map((name) => site?.channels.find((channel) => channel.name === name));
+
+	const outcomes = await Promise.all(channels.map((channel) => sendToChannel(env, channel, job.event)));
+	const results = { ...job.results };
+	names.forEach((name, i) => {
+		const { ok, status, retryable, error } = outcomes[i];
+		results[name] = { ok, status, retryable, error, attempt: job.attempt, at: new Date().toISOString() };
+		if (!ok) log.warn('Channel failed', { channel: name, submissionId: job.submissionId, status, error });
+	});
+	const updated = { ...job, results };
+	await recordMetrics(
+		env,
+		outcomes.map(({ ok }, i) => ({ metric: 'channel', dimension: channels[i]?.type || 'unknown', outcome: ok ? 'sent' : 'failed' }))
+	);
+
+	const retry = pendingChannels(updated).length > 0 && env.DELIVERY_QUEUE && job.attempt < maxAttempts;
+	if (retry) {
+		await env.DELIVERY_QUEUE.send({ ...updated, attempt: job.attempt + 1 }, { delaySeconds: backoffSeconds(job.attempt) });
+	}
+	await recordChannels(env, updated, retry);
+}
+
+async function recordChannels(env, job, retrying) {
+	if (!env.SUBMISSIONS_KV || !job.submissionId) return;
+
+	const channels = Object.fromEntries(
+		Object.entries(job.results).map(([name, result]) => {
+			if (!result) return [name, { status: 'pending' }];
+			const status = result.ok ? 'sent' : result.retryable && retrying ? 'retrying' : 'failed';
+			return [name, { status, httpStatus: result.status, error: result.error, attempt: result.attempt, at: result.at }];
+		})
+	);
+	await setChannelStatus(env, job.submissionId, channels);
+}
@@ -0,0 +1,258 @@
+/**
+ * privacy.js
+ *
+ * Personal data controls:
+ *
+ *  - Hashed identifiers: rate-limit keys carry a keyed hash of the IP,
+ *    subnet or email instead of the value (`HASH_SECRET`, falling back to
+ *    `SIGNING_SECRET`). Without a secret, only values too many to guess get
+ *    a plain hash; callers must not hash IPs (see `hasHashSecret`).
+ *  - Consent: form types listed in a site's `consentFormTypes` (or
+ *    `CONSENT_FORM_TYPES` for the default site) need a truthy `consent` field.
+ *    The record keeps the version of the consent text the submitter saw
+ *    (`consentVersion` from the form, else the site's `consentVersion`) and
+ *    when they agreed.
+ *  - Retention: the `scheduled()` handler deletes submissions (with their
+ *    attachments and channel results) and dead letters older than
+ *    `RETENTION_DAYS`. Without it, no submission is purged. Every run also
+ *    deletes the files of submissions that no longer exist: unconfirmed
+ *    submissions expire from KV on their own, but their uploads stay in R2.
+ *  - Data subject requests (admin only):
+ *
+ *      GET  /privacy/export?email=...   everything stored for an email address
+ *      POST /privacy/erase              { "email": "..." } deletes it
+ *
+ *    A submission belongs to an address when any of its fields holds it.
+ *    Each call scans one page of submissions; repeat it with the returned
+ *    `cursor` until `cursor` is null.
+ */
+
+import { withDownloadLinks } from './attachments';
+import { deleteDeadLetter, getDeadLetter, listDeadLetters } from './deliveryQueue';
+import { jsonResponse } from './http';
+import { log } from './logger';
+import { sha256Hex, signHex } from './signing';
+import { deleteSubmission, getSubmission, getSubmissions, listSubmissions } from './submissionStore';
+import { isValidEmail } from './validation';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCAN_PAGE_SIZE = 500;
+// Each deletion is several KV and R2 calls; the rest waits for the next run
+const MAX_PURGE_PER_RUN = 200;
+// Uploads are stored before their submission record, so young files are left alone
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+const ATTACHMENTS_PREFIX = 'attachments/';
+const CONSENT_GIVEN = [true, 'true', 'on', 'yes', '1'];
+const MAX_CONSENT_VERSION_LENGTH = 64;
+
+/**
+ * Whether identifiers get a keyed hash. Without one, hashes of IPs can be
+ * reversed by hashing every address.
+ */
+export const hasHashSecret = (env) => Boolean(env.HASH_SECRET || env.SIGNING_SECRET);
+
+/**
+ * Hash of an identifier, for keys that must not hold the raw value. Keyed
+ * when `hasHashSecret(env)`, otherwise a plain SHA-256.
+ */
+export async function hashIdentifier(env, value) {
+	const secret = env.HASH_SECRET || env.SIGNING_SECRET;
+	return (secret ? await signHex(secret, String(value)) : await sha256Hex(String(value))).slice(0, 32);
+}
+
+export const requiresConsent = (site, formType) => site.consentFormTypes.includes(formType);
+
+/**
+ * Reads the consent of a submission. Returns the record to store (or null
+ * when none was given) and a validation error when consent is required but
+ * missing.
+ *
+ * @returns {{ consent: { given: true, version: string|null, givenAt: string } | null, error: object | null }}
+ */
+export function readConsent(site, formType, data) {
+	const given = CONSENT_GIVEN.includes(typeof data.consent === 'string' ? data.consent.toLowerCase() : data.consent);
+	if (!given) {
+		const error = requiresConsent(site, formType)
+			? { field: 'consent', code: 'consent_required', message: 'Consent to the processing of your data is required' }
+			: null;
+		return { consent: null, error };
+	}
+
+	const version =
+		typeof data.consentVersion === 'string' && data.consentVersion.trim()
+			? data.consentVersion.trim().slice(0, MAX_CONSENT_VERSION_LENGTH)
+			: site.consentVersion || null;
+	return { consent: { given: true, version, givenAt: new Date().toISOString() }, error: null };
+}
+
+/**
+ * Days submissions are kept, or 0 to keep them forever.
+ */
+export const retentionDays = (env) => Math.max(Number(env.RETENTION_DAYS) || 0, 0);
+
+/**
+ * Deletes submissions and dead letters older than the retention period, and
+ * the files of submissions that no longer exist. Stops after
+ * `MAX_PURGE_PER_RUN` deletions; the next run continues.
+ *
+ * @returns {Promise<{ submissions: number, deadLetters: number, orphanedAttachments: number, complete: boolean }>}
+ */
+export async function purgeExpiredData(env, now = Date.now()) {
+	const days = retentionDays(env);
+	const result = { submissions: 0, deadLetters: 0, orphanedAttachments: 0, complete: true };
+	if (!env.SUBMISSIONS_KV) return result;
+
+	const budgetLeft = () => result.submissions + result.deadLetters + result.orphanedAttachments < MAX_PURGE_PER_RUN;
+	if (days) {
+		await purgeOldRecords(env, new Date(now - days * DAY_MS).toISOString(), result, budgetLeft);
+	}
+	if (env.ATTACHMENTS_BUCKET && result.complete) {
+		await purgeOrphanedAttachments(env, now - ORPHAN_GRACE_MS, result, budgetLeft);
+	}
+
+	log.info('Retention purge finished', { retentionDays: days, ...result });
+	return result;
+}
+
+// Submissions created and dead letters parked before `cutoff`
+async function purgeOldRecords(env, cutoff, result, budgetLeft) {
+	let cursor;
+	do {
+		const page = await listSubmissions(env, { cursor, limit: 1000 });
+		for (const { id, createdAt } of page.submissions) {
+			if (createdAt >= cutoff) continue;
+			if (!budgetLeft()) {
+				result.complete = false;
+				break;
+			}
+			if (await deleteSubmission(env, id)) result.submissions++;
+		}
+		cursor = result.complete ? page.cursor : null;
+	} while (cursor);
+
+	cursor = undefined;
+	do {
+		const page = await listDeadLetters(env, { cursor, limit: 1000 });
+		for (const { id, failedAt } of page.deadLetters) {
+			if (!failedAt || failedAt >= cutoff) continue;
+			if (!budgetLeft()) {
+				result.complete = false;
+				break;
+			}
+			if (await deleteDeadLetter(env, id)) result.deadLetters++;
+		}
+		cursor = result.complete ? page.cursor : null;
+	} while (cursor);
+}
+
+/**
+ * Deletes the files under `attachments/<submissionId>/` of submissions that
+ * are gone, counting each submission once.
+ */
+async function purgeOrphanedAttachments(env, uploadedBefore, result, budgetLeft) {
+	let cursor;
+	do {
+		const page = await env.ATTACHMENTS_BUCKET.list({ prefix: ATTACHMENTS_PREFIX, cursor });
+		const bySubmission = new Map();
+		for (const { key, uploaded } of page.objects) {
+			if (uploaded.getTime() >= uploadedBefore) continue;
+			const id = key.slice(ATTACHMENTS_PREFIX.length).split('/')[0];
+			bySubmission.set(id, [...(bySubmission.get(id) || []), key]);
+		}
+		for (const [id, keys] of bySubmission) {
+			if (await getSubmission(env, id)) continue;
+			if (!budgetLeft()) {
+				result.complete = false;
+				break;
+			}
+			await env.ATTACHMENTS_BUCKET.delete(keys);
+			result.orphanedAttachments++;
+		}
+		cursor = result.complete && page.truncated ? page.cursor : null;
+	} while (cursor);
+}
+
+const belongsTo = (record, email) =>
+	Object.values(record.fields || {}).some((value) => typeof value === 'string' && value.trim().toLowerCase() === email);
+
+/**
+ * Finds the submissions (in one page of the store) and dead letters that
+ * belong to an email address.
+ */
+async function findSubjectData(env, email, cursor) {
+	const page = await listSubmissions(env, { cursor, limit: SCAN_PAGE_SIZE });
+	const pageIds = page.submissions.map(({ id }) => id);
+	const submissions = (await getSubmissions(env, pageIds)).filter((record) => belongsTo(record, email));
+
+	// Every delivery job names its submission, so dead letters are matched from the listing alone
+	const ids = new Set(submissions.map(({ id }) => id));
+	const deadLetterIds = [];
+	let deadLetterCursor;
+	do {
+		const deadLetters = await listDeadLetters(env, { cursor: deadLetterCursor, limit: 1000 });
+		deadLetterIds.push(...deadLetters.deadLetters.filter(({ submissionId }) => ids.has(submissionId)).map(({ id }) => id));
+		deadLetterCursor = deadLetters.cursor;
+	} while (deadLetterCursor);
+
+	return { submissions, deadLetterIds, cursor: page.cursor };
+}
+
+const readEmail = (value) => (typeof value === 'string' && isValidEmail(value) ? value.trim().toLowerCase() : null);
+
+const invalidEmail = () => jsonResponse({ error: 'Validation failed', code: 'invalid_email', message: 'A valid `email` is required' }, 400);
+
+const notConfigured = () => jsonResponse({ error: 'Service unavailable', message: 'Submission storage is not configured' }, 503);
+
+/**
+ * Serves `GET /privacy/export?email=&cursor=`.
+ */
+export async function handlePrivacyExport(request, env) {
+	if (!env.SUBMISSIONS_KV) return notConfigured();
+
+	const url = new URL(request.url);
+	const email = readEmail(url.searchParams.get('email'));
+	if (!email) return invalidEmail();
+
+	const { submissions, deadLetterIds, cursor } = await findSubjectData(env, email, url.searchParams.get('cursor') || undefined);
+	const [records, deadLetters] = await Promise.all([
+		// Fresh links, so the export includes the uploaded files
+		Promise.all(
+			submissions.map(async (record) => ({ ...record, attachments: await withDownloadLinks(env, url.origin, record.attachments) }))
+		),
+		Promise.all(deadLetterIds.map((id) => getDeadLetter(env, id))),
+	]);
+
+	log.info('Privacy export', { submissions: records.length, deadLetters: deadLetters.length });
+	return jsonResponse(
+		{ email, exportedAt: new Date().toISOString(), submissions: records, deadLetters: deadLetters.filter(Boolean), cursor },
+		200,
+		{ 'Cache-Control': 'no-store' }
+	);
+}
+
+/**
+ * Serves `POST /privacy/erase` with `{ "email": "...", "cursor"?: "..." }`.
+ */
+export async function handlePrivacyErase(request, env) {
+	if (!env.SUBMISSIONS_KV) return notConfigured();
+
+	let body;
+	try {
+		body = await request.json();
+	} catch (e) {
+		return jsonResponse({ error: 'Invalid JSON payload' }, 400);
+	}
+	const email = readEmail(body?.email);
+	if (!email) return invalidEmail();
+
+	const { submissions, deadLetterIds, cursor } = await findSubjectData(env, email, body.cursor || undefined);
+	for (const { id } of submissions) {
+		await deleteSubmission(env, id);
+	}
+	for (const id of deadLetterIds) {
+		await deleteDeadLetter(env, id);
+	}
+
+	log.info('Privacy erasure', { submissions: submissions.length, deadLetters: deadLetterIds.length });
+	return jsonResponse({ erased: { submissions: submissions.map(({ id }) => id), deadLetters: deadLetterIds }, cursor });
+}
@@ -0,0 +1,251 @@
+/**
+ * rateLimiter.js
+ *
+ * Policy-driven rate limiting for form submissions.
+ *
+ * A policy applies per form type and lists a limit for each key dimension it
+ * counts on (`ip`, `subnet` (/24 for IPv4, /64 for IPv6), `email`, `apiKey`):
+ *
+ *   { algorithm: 'sliding_window' | 'token_bucket', windowSeconds: 900, limits: { ip: 5, email: 3 } }
+ *
+ * Every form type has its own counters, so recruiters resubmitting an
+ * `interview_proposal` do not share a budget with anonymous `message` traffic.
+ *
+ * Configuration (all optional):
+ *  - `RATE_LIMIT_POLICIES`: JSON object keyed by form type (or `default`, which applies to every form type), merged over the defaults below.
+ *  - `RATE_LIMIT_MAX` / `RATE_LIMIT_WINDOW` (ms): override every policy's IP limit and window.
+ *  - `RATE_LIMIT_ALLOWLIST`: comma-separated IPs or IPv4 CIDR ranges that are never limited.
+ *  - Backend: the `RATE_LIMITER` Durable Object binding when present (atomic),
+ *    otherwise `RATE_LIMIT_KV` (best effort); no binding disables limiting.
+ *
+ * Keys hold a keyed hash of the IP, subnet, email or API key, never the value
+ * itself (see `hashIdentifier` in `privacy.js`). Without `HASH_SECRET` or
+ * `SIGNING_SECRET` the `ip` and `subnet` limits are skipped, since a plain
+ * hash of an IP is easily reversed.
+ */
+
+import { log } from './logger';
+import { hasHashSecret, hashIdentifier } from './privacy';
+import { KV_MIN_TTL } from './submissionStore';
+
+const DEFAULT_POLICIES = {
+	default: { algorithm: 'sliding_window', windowSeconds: 15 * 60, limits: { ip: 5 } },
+	message: { algorithm: 'sliding_window', windowSeconds: 15 * 60, limits: { ip: 5, subnet: 20, email: 3 } },
+	recruiter_query: { algorithm: 'token_bucket', windowSeconds: 60 * 60, limits: { ip: 10, email: 10 } },
+	interview_proposal: { algorithm: 'token_bucket', windowSeconds: 60 * 60, limits: { ip: 10, email: 10 } },
+};
+
+/**
+ * Resolves the effective policy for a form type.
+ */
+export function getPolicy(env, formType) {
+	let overrides = {};
+	if (env.RATE_LIMIT_POLICIES) {
+		try {
+			overrides = typeof env.RATE_LIMIT_POLICIES === 'string' ? JSON.parse(env.RATE_LIMIT_POLICIES) : env.RATE_LIMIT_POLICIES;
+		} catch (err) {
+			log.error('Invalid RATE_LIMIT_POLICIES, using defaults', { err });
+		}
+	}
+
+	// `default`, RATE_LIMIT_MAX and RATE_LIMIT_WINDOW tune every policy, keeping the limits they do not name
+	const builtIn = DEFAULT_POLICIES[formType] || DEFAULT_POLICIES.default;
+	const policy = { ...builtIn, ...overrides.default, limits: { ...builtIn.limits, ...overrides.default?.limits } };
+	if (env.RATE_LIMIT_MAX) policy.limits = { ...policy.limits, ip: Number(env.RATE_LIMIT_MAX) };
+	if (env.RATE_LIMIT_WINDOW) policy.windowSeconds = Math.ceil(Number(env.RATE_LIMIT_WINDOW) / 1000);
+
+	return { ...policy, ...overrides[formType] };
+}
+
+// --- Algorithms ---
+// Both take the stored state (or null), the policy limit/window and `now` (ms)
+// and return the decision plus the state to persist.
+
+/**
+ * Sliding window counter: weights the previous fixed window by how much of it
+ * still overlaps the sliding window.
+ */
+export function slidingWindow(state, limit, windowSeconds, now) {
+	const windowMs = windowSeconds * 1000;
+	const currentStart = Math.floor(now / windowMs) * windowMs;
+
+	let previous = 0;
+	let current = 0;
+	if (state?.windowStart === currentStart) {
+		previous = state.previous;
+		current = state.current;
+	} else if (state?.windowStart === currentStart - windowMs) {
+		previous = state.current;
+	}
+
+	const overlap = 1 - (now - currentStart) / windowMs;
+	const estimate = previous * overlap + current;
+	const resetAt = currentStart + windowMs;
+
+	if (estimate + 1 > limit) {
+		// Time until enough of the previous window has slid out, or the window rolls over.
+		const retryAfterMs = previous > 0 ? Math.min(resetAt - now, ((estimate + 1 - limit) / previous) * windowMs) : resetAt - now;
+		return { allowed: false, remaining: 0, resetAt, retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000)), state: { windowStart: currentStart, previous, current } };
+	}
+
+	return {
+		allowed: true,
+		remaining: Math.max(0, Math.floor(limit - estimate - 1)),
+		resetAt,
+		retryAfter: 0,
+		state: { windowStart: currentStart, previous, current: current + 1 },
+	};
+}
+
+/**
+ * Token bucket: `limit` tokens, refilled evenly over `windowSeconds`.
+ */
+export function tokenBucket(state, limit, windowSeconds, now) {
+	const refillPerMs = limit / (windowSeconds * 1000);
+	const tokens = state ? Math.min(limit, state.tokens + (now - state.updatedAt) * refillPerMs) : limit;
+
+	if (tokens < 1) {
+		const retryAfterMs = (1 - tokens) / refillPerMs;
+		return { allowed: false, remaining: 0, resetAt: now + retryAfterMs, retryAfter: Math.ceil(retryAfterMs / 1000), state: { tokens, updatedAt: now } };
+	}
+
+	const left = tokens - 1;
+	return { allowed: true, remaining: Math.floor(left), resetAt: now + (limit - left) / refillPerMs, retryAfter: 0, state: { tokens: left, updatedAt: now } };
+}
+
+const algorithms = { sliding_window: slidingWindow, token_bucket: tokenBucket };
+
+function applyAlgorithm(algorithm, state, limit, windowSeconds, now) {
+	const run = algorithms[algorithm];
+	if (!run) throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+	return run(state, limit, windowSeconds, now);
+}
+
+// --- Backends ---
+
+async function checkWithKv(env, key, algorithm, limit, windowSeconds, now) {
+	const stored = await env.RATE_LIMIT_KV.get(key);
+	const decision = applyAlgorithm(algorithm, stored ? JSON.parse(stored) : null, limit, windowSeconds, now);
+	// KV requires a TTL of at least 60 seconds; keep two windows for the sliding estimate.
+	await env.RATE_LIMIT_KV.put(key, JSON.stringify(decision.state), { expirationTtl: Math.max(KV_MIN_TTL, windowSeconds * 2) });
+	return decision;
+}
+
+async function checkWithDurableObject(env, key, algorithm, limit, windowSeconds, now) {
+	const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+	const response = await stub.fetch('https://rate-limiter/check', {
+		method: 'POST',
+		body: JSON.stringify({ algorithm, limit, windowSeconds, now }),
+	});
+	return response.json();
+}
+
+/**
+ * Durable Object holding the counter for a single rate-limit key. Requests to
+ * one object are processed one at a time, so read-modify-write is atomic.
+ */
+export class RateLimiter {
+	constructor(state) {
+		this.storage = state.storage;
+	}
+
+	async fetch(request) {
+		const { algorithm, limit, windowSeconds, now } = await request.json();
+		const decision = applyAlgorithm(algorithm, await this.storage.get('state'), limit, windowSeconds, now);
+		await this.storage.put('state', decision.state);
+		await this.storage.setAlarm(now + windowSeconds * 2000);
+		return Response.json(decision);
+	}
+
+	async alarm() {
+		await this.storage.deleteAll();
+	}
+}
+
+// --- Key dimensions ---
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((acc, octet) => (acc << 8) + Number(octet), 0) >>> 0;
+const isIpv4 = (ip) => /^\d{1,3}(\.\d{1,3}){3}$/.test(ip);
+
+export function isAllowlisted(env, ip) {
+	if (!env.RATE_LIMIT_ALLOWLIST || !ip) return false;
+
+	return env.RATE_LIMIT_ALLOWLIST.split(',')
+		.map((entry) => entry.trim())
+		.filter(Boolean)
+		.some((entry) => {
+			if (!entry.includes('/')) return entry === ip;
+			const [range, bits] = entry.split('/');
+			if (!isIpv4(range) || !isIpv4(ip)) return false;
+			const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+			return (ipv4ToInt(range) & mask) === (ipv4ToInt(ip) & mask);
+		});
+}
+
+export function subnetOf(ip) {
+	if (isIpv4(ip)) return `${ip.split('.').slice(0, 3).join('.')}.0/24`;
+	if (ip.includes(':')) return `${ip.split(':').slice(0, 4).join(':')}::/64`;
+	return ip;
+}
+
+// Few enough possible values that an unkeyed hash can be reversed
+const IP_DIMENSIONS = ['ip', 'subnet'];
+let reportedMissingSecret = false;
+
+const dimensionValue = {
+	ip: ({ ip }) => ip,
+	subnet: ({ ip }) => (ip && ip !== 'unknown' ? subnetOf(ip) : null),
+	email: ({ email }) => (email ? email.trim().toLowerCase() : null),
+	apiKey: ({ apiKey }) => apiKey || null,
+};
+
+/**
+ * Checks (and counts) a request against the form type's policy.
+ *
+ * @param {object} env
+ * @param {{ formType: string, ip: string, email?: string, apiKey?: string }} identity
+ * @returns {Promise<{ allowed: boolean, headers: object, retryAfter?: number }>}
+ */
+export async function checkRateLimit(env, { formType, ip, email, apiKey }) {
+	const useDurableObject = Boolean(env.RATE_LIMITER);
+	if ((!useDurableObject && !env.RATE_LIMIT_KV) || isAllowlisted(env, ip)) {
+		return { allowed: true, headers: {} };
+	}
+
+	const policy = getPolicy(env, formType);
+	const check = useDurableObject ? checkWithDurableObject : checkWithKv;
+	const now = Date.now();
+
+	const decisions = [];
+	for (const [dimension, limit] of Object.entries(policy.limits)) {
+		const value = dimensionValue[dimension]?.({ ip, email, apiKey });
+		if (!value) continue;
+		if (IP_DIMENSIONS.includes(dimension) && !hasHashSecret(env)) {
+			if (!reportedMissingSecret) {
+				log.error('IP rate limits are off: set HASH_SECRET or SIGNING_SECRET so keys do not hold reversible IP hashes');
+				reportedMissingSecret = true;
+			}
+			continue;
+		}
+
+		const key = `rate_limit:${formType}:${dimension}:${await hashIdentifier(env, value)}`;
+		decisions.push({ limit, ...(await check(env, key, policy.algorithm, limit, policy.windowSeconds, now)) });
+	}
+
+	if (decisions.length === 0) return { allowed: true, headers: {} };
+
+	// Report the most restrictive dimension.
+	const denied = decisions.filter((d) => !d.allowed);
+	const binding = denied.length
+		? denied.reduce((a, b) => (b.retryAfter > a.retryAfter ? b : a))
+		: decisions.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+	const headers = {
+		'X-RateLimit-Limit': binding.limit.toString(),
+		'X-RateLimit-Remaining': binding.remaining.toString(),
+		'X-RateLimit-Reset': new Date(binding.resetAt).toISOString(),
+	};
+	if (!binding.allowed) headers['Retry-After'] = binding.retryAfter.toString();
+
+	return { allowed: binding.allowed, headers, retryAfter: binding.retryAfter };
+}
@@ -0,0 +1,83 @@
+/**
+ * requestBody.js
+ *
+ * Reads submissions sent as JSON, `application/x-www-form-urlencoded` or
+ * `multipart/form-data`, so a plain HTML `<form>` can post without JavaScript.
+ *
+ * Plain forms cannot read a JSON response, so they can name a page to return
+ * to in a hidden `_redirect` field. When that URL belongs to one of the site's
+ * allowed origins, the worker answers with a `303 See Other` to it, adding
+ * `status=success&id=<id>` (`status=confirm` when the submitter still has to
+ * confirm their email address) or `status=error&error=<message>` (and
+ * `fields=` for validation errors) to the query string.
+ */
+
+import { isAllowedOrigin } from './siteConfig';
+
+const FORM_TYPES = ['multipart/form-data', 'application/x-www-form-urlencoded'];
+
+export function isFormRequest(request) {
+	const contentType = (request.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+	return FORM_TYPES.includes(contentType);
+}
+
+/**
+ * Parses the request body. Form fields become `data` (first value wins for
+ * repeated names) and uploaded files are collected in `files`; empty file
+ * inputs are ignored. Anything that is not a form is read as JSON and must
+ * be an object; other JSON values (`null`, arrays, strings) throw.
+ *
+ * @returns {Promise<{ data: object, files: { field: string, file: File }[], isForm: boolean }>}
+ */
+export async function parseRequestBody(request) {
+	if (!isFormRequest(request)) {
+		const data = await request.json();
+		if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+			throw new TypeError('The JSON body must be an object');
+		}
+		return { data, files: [], isForm: false };
+	}
+
+	const data = {};
+	const files = [];
+	for (const [name, value] of await request.formData()) {
+		if (typeof value === 'string') {
+			if (!(name in data)) data[name] = value;
+		} else if (value.name || value.size) {
+			files.push({ field: name, file: value });
+		}
+	}
+	return { data, files, isForm: true };
+}
+
+/**
+ * Returns the `_redirect` target if it is an http(s) URL on one of the site's
+ * allowed origins, otherwise null.
+ */
+export function getRedirectTarget(site, value) {
+	if (typeof value !== 'string' || !value) return null;
+
+	try {
+		const url = new URL(value);
+		return ['http:', 'https:'].includes(url.protocol) && isAllowedOrigin(site, url.origin) ? url.toString() : null;
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * Turns a JSON response body into a redirect back to the form's page.
+ */
+export function redirectAfterPost(target, body, status) {
+	const url = new URL(target);
+	if (status < 400) {
+		url.searchParams.set('status', body.confirmationRequired ? 'confirm' : 'success');
+		if (body.id) url.searchParams.set('id', body.id);
+	} else {
+		url.searchParams.set('status', 'error');
+		url.searchParams.set('error', body.message || body.error);
+		if (body.code) url.searchParams.set('code', body.code);
+		if (Array.isArray(body.details)) url.searchParams.set('fields', [...new Set(body.details.map((detail) => detail.field))].join(','));
+	}
+	return new Response(null, { status: 303, headers: { Location: url.toString() } });
+}
@@ -0,0 +1,90 @@
+/**
+ * router.js
+ *
+ * A small path router. Routes are registered with a method, a path pattern and
+ * a chain of handlers; every handler but the last is middleware:
+ *
+ *   router.post('/v1/forms/:formType', cors(), requireApiKey, handleSubmission);
+ *
+ * Handlers receive the request context `c` (request, env, ctx, url, site,
+ * params, ...) and middleware also gets `next()`, which runs the rest of the
+ * chain and resolves to its response. `:name` captures one path segment into
+ * `c.params` and a trailing `/*` matches anything below a prefix.
+ *
+ * Unknown paths get a 404 and known paths with the wrong method a 405 with an
+ * `Allow` header. A preflight (`OPTIONS`) runs the middleware of the first
+ * route on the path, so `cors()` can answer it; paths without CORS get a bare
+ * 204.
+ */
+
+import { jsonResponse } from './http';
+
+const ANY_METHOD = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+function compile(pattern) {
+	const wildcard = pattern.endsWith('/*');
+	const keys = [];
+	const source = (wildcard ? pattern.slice(0, -2) : pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/:(\w+)/g, (_, key) => {
+		keys.push(key);
+		return '([^/]+)';
+	});
+	return { regex: new RegExp(`^${source}${wildcard ? '(?:/.*)?' : ''}/?$`), keys };
+}
+
+function matchRoute(route, pathname) {
+	const match = route.regex.exec(pathname);
+	if (!match) return null;
+
+	try {
+		return Object.fromEntries(route.keys.map((key, i) => [key, decodeURIComponent(match[i + 1])]));
+	} catch (err) {
+		// Malformed percent-encoding cannot name anything we serve
+		return null;
+	}
+}
+
+/**
+ * Creates an empty router.
+ *
+ * @returns {{ get: Function, post: Function, patch: Function, delete: Function, all: Function, handle: (c: object) => Promise<Response> }}
+ */
+export function createRouter() {
+	const routes = [];
+	const add = (method, pattern, handlers) => routes.push({ method, handlers, ...compile(pattern) });
+
+	return {
+		get: (pattern, ...handlers) => add('GET', pattern, handlers),
+		post: (pattern, ...handlers) => add('POST', pattern, handlers),
+		patch: (pattern, ...handlers) => add('PATCH', pattern, handlers),
+		delete: (pattern, ...handlers) => add('DELETE', pattern, handlers),
+		all: (pattern, ...handlers) => add('*', pattern, handlers),
+
+		async handle(c) {
+			const { method } = c.request;
+			const matches = routes.map((route) => ({ route, params: matchRoute(route, c.url.pathname) })).filter(({ params }) => params);
+			if (matches.length === 0) {
+				return jsonResponse({ error: 'Not found', code: 'not_found', message: `No route for ${c.url.pathname}` }, 404);
+			}
+
+			c.allowedMethods = [...new Set(matches.flatMap(({ route }) => (route.method === '*' ? ANY_METHOD : [route.method])))];
+			c.preflight = method === 'OPTIONS';
+			const found = c.preflight ? matches[0] : matches.find(({ route }) => route.method === method || route.method === '*');
+			if (!found) {
+				return jsonResponse({ error: 'Method not allowed', code: 'method_not_allowed', allowedMethods: c.allowedMethods }, 405, {
+					Allow: c.allowedMethods.join(', '),
+				});
+			}
+
+			c.params = found.params;
+			const { handlers } = found.route;
+			const dispatch = (i) => {
+				// A preflight that no middleware answered never reaches the route itself
+				if (c.preflight && i === handlers.length - 1) {
+					return new Response(null, { status: 204, headers: { Allow: [...c.allowedMethods, 'OPTIONS'].join(', ') } });
+				}
+				return handlers[i](c, () => dispatch(i + 1));
+			};
+			return dispatch(0);
+		},
+	};
+}
@@ -0,0 +1,83 @@
+/**
+ * signing.js
+ *
+ * HMAC-SHA256 signatures for links the worker hands out, such as attachment
+ * downloads, for outbound webhook payloads and for verifying signed API
+ * requests (see `apiKeys.js`), plus the plain SHA-256 digest used for KV keys
+ * derived from submitted values.
+ *
+ * Links carry `expires` (unix seconds) and `signature` query parameters; the
+ * signature covers the path and the expiry, so a link cannot be pointed at
+ * another resource or extended. Keyed by `SIGNING_SECRET`.
+ */
+
+import { timingSafeEqual } from './auth';
+
+const encoder = new TextEncoder();
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const toBase64Url = (buffer) =>
+	btoa(String.fromCharCode(...new Uint8Array(buffer)))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+
+// `payload` is a string or raw bytes (request bodies may not be valid UTF-8)
+async function hmac(secret, payload) {
+	const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+	return crypto.subtle.sign('HMAC', key, typeof payload === 'string' ? encoder.encode(payload) : payload);
+}
+
+/**
+ * Returns the base64url HMAC-SHA256 of `payload`.
+ */
+export async function sign(secret, payload) {
+	return toBase64Url(await hmac(secret, payload));
+}
+
+/**
+ * Returns the hex HMAC-SHA256 of `payload`, the form most webhook consumers verify.
+ */
+export async function signHex(secret, payload) {
+	return toHex(await hmac(secret, payload));
+}
+
+/**
+ * Returns the hex SHA-256 of `payload` (a string or raw bytes).
+ */
+export async function sha256Hex(payload) {
+	return toHex(await crypto.subtle.digest('SHA-256', typeof payload === 'string' ? encoder.encode(payload) : payload));
+}
+
+export async function verifySignature(secret, payload, signature) {
+	return timingSafeEqual(await sign(secret, payload), signature);
+}
+
+/**
+ * Adds `expires` and `signature` to a URL valid for `ttlSeconds`.
+ *
+ * @param {string} secret
+ * @param {string|URL} url
+ * @param {number} ttlSeconds
+ * @returns {Promise<string>}
+ */
+export async function signUrl(secret, url, ttlSeconds) {
+	const signed = new URL(url);
+	const expires = String(Math.floor(Date.now() / 1000) + ttlSeconds);
+	signed.searchParams.set('expires', expires);
+	signed.searchParams.set('signature', await sign(secret, `${signed.pathname}:${expires}`));
+	return signed.toString();
+}
+
+/**
+ * Returns true if the URL carries a valid, unexpired signature.
+ */
+export async function verifySignedUrl(secret, url) {
+	const { pathname, searchParams } = new URL(url);
+	const expires = Number(searchParams.get('expires'));
+	const signature = searchParams.get('signature');
+	if (!secret || !signature || !Number.isFinite(expires) || expires < Date.now() / 1000) return false;
+
+	return verifySignature(secret, `${pathname}:${expires}`, signature);
+}
@@ -0,0 +1,174 @@
+/**
+ * siteConfig.js
+ *
+ * Multi-tenant site configuration. One deployment can serve several sites,
+ * each with its own origins, inbox, sender, signature and form types.
+ *
+ * Sites come from the `sites` JSON document in the `CONFIG_KV` namespace, or
+ * from the `SITES_CONFIG` env var (same JSON). Each site looks like:
+ *
+ *   {
+ *     "id": "philipmutua",
+ *     "apiKeys": ["..."],                                   // optional, keys that select this site (see apiKeys.js)
+ *     "origins": ["https://philipmutua.xyz", "https://*.philipmutua.xyz"],
+ *     "notificationRecipients": ["hello@philipmutua.xyz"],
+ *     "from": { "email": "hello@philipmutua.xyz", "name": "Contact Form" },
+ *     "signature": { "name": "Philip Mutua", "title": "Senior Software Engineer", "email": "hello@philipmutua.xyz", "website": "https://philipmutua.xyz" },
+ *     "formTypes": ["quote", "message"],                    // optional, defaults to every registered form
+ *     "defaultLanguage": "en",
+ *     "timezone": "Africa/Nairobi",                         // IANA zone the owner reads times in, default UTC
+ *     "verifyFormTypes": ["message"],                       // optional, forms that need email confirmation first
+ *     "consentFormTypes": ["quote"],                        // optional, forms that need a `consent` checkbox (see privacy.js)
+ *     "consentVersion": "2026-01",                          // optional, version of the consent text shown on the site
+ *     "channels": [{ "type": "slack", "url": "https://hooks.slack.com/..." }]  // optional, see notificationChannels.js
+ *   }
+ *
+ * When no configured site matches, the default site is built from env vars
+ * (`ALLOWED_ORIGINS`, `NOTIFY_EMAIL`, `FROM_EMAIL`, `FROM_NAME`,
+ * `SIGNATURE_NAME`, `SIGNATURE_TITLE`, `SITE_URL`, `DEFAULT_LANGUAGE`, `OWNER_TIMEZONE`,
+ * `VERIFY_FORM_TYPES` and `CONSENT_FORM_TYPES` as comma-separated lists,
+ * `CONSENT_VERSION`, and `NOTIFICATION_CHANNELS` as a JSON array of channels).
+ */
+
+import { findApiKey, findSigningKey, normalizeApiKeys } from './apiKeys';
+import { formSchemas } from './formSchemas';
+import { log } from './logger';
+import { isValidTimeZone } from './timezones';
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { sites: null, loadedAt: 0 };
+
+const csv = (value) =>
+	(value || '')
+		.split(',')
+		.map((item) => item.trim())
+		.filter(Boolean);
+
+/**
+ * The site used when no configured site matches the request.
+ */
+export function getDefaultSite(env) {
+	const fromEmail = env.FROM_EMAIL || 'hello@philipmutua.xyz';
+	const website = env.SITE_URL || 'https://philipmutua.xyz';
+	return normalizeSite({
+		id: 'default',
+		origins: env.ALLOWED_ORIGINS ? csv(env.ALLOWED_ORIGINS) : [website, 'http://localhost:4200', 'http://127.0.0.1:8787'],
+		notificationRecipients: env.NOTIFY_EMAIL ? csv(env.NOTIFY_EMAIL) : [fromEmail],
+		from: { email: fromEmail, name: env.FROM_NAME || 'Contact Form' },
+		signature: {
+			name: env.SIGNATURE_NAME || 'Philip Mutua',
+			title: env.SIGNATURE_TITLE || 'Senior Software Engineer',
+			email: fromEmail,
+			website,
+		},
+		defaultLanguage: env.DEFAULT_LANGUAGE || 'en',
+		timezone: env.OWNER_TIMEZONE,
+		verifyFormTypes: csv(env.VERIFY_FORM_TYPES),
+		consentFormTypes: csv(env.CONSENT_FORM_TYPES),
+		consentVersion: env.CONSENT_VERSION,
+		channels: parseChannels(env.NOTIFICATION_CHANNELS),
+	});
+}
+
+function parseChannels(value) {
+	if (!value) return [];
+	try {
+		return typeof value === 'string' ? JSON.parse(value) : value;
+	} catch (err) {
+		log.error('Invalid NOTIFICATION_CHANNELS, ignoring', { err });
+		return [];
+	}
+}
+
+function normalizeSite(site) {
+	const fromEmail = site.from?.email;
+	return {
+		...site,
+		apiKeys: normalizeApiKeys(site.apiKeys),
+		origins: site.origins || [],
+		notificationRecipients: site.notificationRecipients?.length ? site.notificationRecipients : [fromEmail],
+		signature: { name: site.from?.name, email: fromEmail, ...site.signature },
+		formTypes: site.formTypes?.length ? site.formTypes : Object.keys(formSchemas),
+		defaultLanguage: site.defaultLanguage || 'en',
+		timezone: isValidTimeZone(site.timezone) ? site.timezone : 'UTC',
+		verifyFormTypes: site.verifyFormTypes || [],
+		consentFormTypes: site.consentFormTypes || [],
+		consentVersion: site.consentVersion || null,
+		channels: (site.channels || []).map((channel) => ({ name: channel.type, ...channel })),
+	};
+}
+
+/**
+ * Loads the configured sites, cached per isolate for a minute.
+ */
+export async function loadSites(env) {
+	if (cache.sites && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.sites;
+
+	let document = null;
+	try {
+		if (env.CONFIG_KV) {
+			document = await env.CONFIG_KV.get('sites', { type: 'json', cacheTtl: 60 });
+		}
+		if (!document && env.SITES_CONFIG) {
+			document = typeof env.SITES_CONFIG === 'string' ? JSON.parse(env.SITES_CONFIG) : env.SITES_CONFIG;
+		}
+	} catch (err) {
+		log.error('Invalid site configuration, using defaults', { err });
+	}
+
+	const list = Array.isArray(document) ? document : document?.sites || [];
+	cache = { sites: list.map(normalizeSite), loadedAt: Date.now() };
+	return cache.sites;
+}
+
+/**
+ * Drops the cached site list (used by tests and after config changes).
+ */
+export function clearSiteCache() {
+	cache = { sites: null, loadedAt: 0 };
+}
+
+/**
+ * Matches an origin against a pattern. `https://*.example.com` matches any
+ * subdomain of example.com (but not example.com itself).
+ */
+export function originMatches(pattern, origin) {
+	if (!origin) return false;
+	if (pattern === origin) return true;
+	if (!pattern.includes('*.')) return false;
+
+	const [scheme, host] = pattern.split('://*.');
+	try {
+		const url = new URL(origin);
+		return url.protocol === `${scheme}:` && url.host.endsWith(`.${host}`);
+	} catch {
+		return false;
+	}
+}
+
+export const isAllowedOrigin = (site, origin) => site.origins.some((pattern) => originMatches(pattern, origin));
+
+/**
+ * Resolves the site for a request: by API key (or the id of the key that
+ * signed it) first, then by origin, then the env-driven default site.
+ *
+ * @returns {Promise<object>} The normalized site config.
+ */
+export async function resolveSite(env, { apiKey, keyId, origin }) {
+	const sites = await loadSites(env);
+
+	for (const site of sites) {
+		if ((await findApiKey(site.apiKeys, apiKey)) || findSigningKey(site.apiKeys, keyId)) return site;
+	}
+
+	const byOrigin = sites.find((site) => isAllowedOrigin(site, origin));
+	return byOrigin || getDefaultSite(env);
+}
+
+/**
+ * Looks a site up by id (used by background jobs that only carry the id).
+ */
+export async function getSiteById(env, siteId) {
+	const sites = await loadSites(env);
+	return sites.find((site) => site.id === siteId) || (siteId === 'default' ? getDefaultSite(env) : null);
+}
@@ -0,0 +1,140 @@
+/**
+ * spamFilter.js
+ *
+ * Bot and spam defence applied to a validated submission before anything is
+ * delivered:
+ *
+ *  - Cloudflare Turnstile token verification (when `TURNSTILE_SECRET_KEY` is set).
+ *  - Honeypot fields that humans never fill in (`HONEYPOT_FIELDS`, default `website,_gotcha`).
+ *  - Minimum fill time, from a `_startedAt` timestamp the form sets on render (`SPAM_MIN_FILL_MS`).
+ *  - Content scoring: link count, blocked keywords, disposable email domains
+ *    and bodies repeated across submissions.
+ *
+ * The total score maps to a verdict: `ham`, `tag` (delivered, flagged in the
+ * notification), `quarantine` (stored as spam, no emails) or `reject`.
+ */
+
+import { log } from './logger';
+import { sha256Hex } from './signing';
+
+const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+const DEFAULT_HONEYPOT_FIELDS = ['website', '_gotcha'];
+const DEFAULT_MIN_FILL_MS = 3000;
+const DEFAULT_MAX_LINKS = 2;
+const REPEAT_WINDOW_SECONDS = 24 * 60 * 60;
+
+const DEFAULT_BLOCKED_KEYWORDS = ['viagra', 'casino', 'crypto investment', 'seo services', 'backlinks', 'loan offer', 'forex signals'];
+const DEFAULT_DISPOSABLE_DOMAINS = [
+	'mailinator.com',
+	'guerrillamail.com',
+	'10minutemail.com',
+	'tempmail.com',
+	'temp-mail.org',
+	'yopmail.com',
+	'trashmail.com',
+	'sharklasers.com',
+	'getnada.com',
+	'dispostable.com',
+];
+
+// Score thresholds for each verdict, overridable through env.
+const DEFAULT_THRESHOLDS = { tag: 3, quarantine: 6, reject: 10 };
+
+// Weights for each signal.
+const SCORES = { honeypot: 10, tooFast: 10, extraLink: 2, blockedKeyword: 3, disposableEmail: 4, repeatedBody: 3 };
+
+const csv = (value, fallback) =>
+	value
+		? value
+				.split(',')
+				.map((item) => item.trim().toLowerCase())
+				.filter(Boolean)
+		: fallback;
+
+/**
+ * Verifies a Turnstile token. Returns `{ success: true }` when Turnstile is not configured.
+ */
+export async function verifyTurnstile(env, token, ip) {
+	if (!env.TURNSTILE_SECRET_KEY) return { success: true };
+	if (!token) return { success: false, errorCodes: ['missing-input-response'] };
+
+	const body = new FormData();
+	body.append('secret', env.TURNSTILE_SECRET_KEY);
+	body.append('response', token);
+	if (ip && ip !== 'unknown') body.append('remoteip', ip);
+
+	try {
+		const response = await fetch(TURNSTILE_VERIFY_URL, { method: 'POST', body });
+		const outcome = await response.json();
+		return { success: outcome.success === true, errorCodes: outcome['error-codes'] || [] };
+	} catch (err) {
+		log.error('Turnstile verification failed', { err });
+		return { success: false, errorCodes: ['internal-error'] };
+	}
+}
+
+// Counts how often the same free text has been submitted recently.
+async function countRepeats(env, text) {
+	if (!env.RATE_LIMIT_KV || text.length < 20) return 0;
+
+	const key = `spam_body:${await sha256Hex(text)}`;
+	const seen = Number(await env.RATE_LIMIT_KV.get(key)) || 0;
+	await env.RATE_LIMIT_KV.put(key, String(seen + 1), { expirationTtl: REPEAT_WINDOW_SECONDS });
+	return seen;
+}
+
+/**
+ * Scores a submission.
+ *
+ * @param {object} env
+ * @param {{ data: object, values: object, email: string }} submission
+ *   `data` is the raw payload (for honeypot/timing fields), `values` the
+ *   sanitized schema fields and `email` the reply-to address.
+ * @returns {Promise<{ verdict: 'ham'|'tag'|'quarantine'|'reject', score: number, reasons: string[] }>}
+ */
+export async function scoreSubmission(env, { data, values, email }) {
+	let score = 0;
+	const reasons = [];
+	const flag = (points, reason) => {
+		score += points;
+		reasons.push(reason);
+	};
+
+	for (const field of csv(env.HONEYPOT_FIELDS, DEFAULT_HONEYPOT_FIELDS)) {
+		if (data[field]) flag(SCORES.honeypot, `honeypot field "${field}" was filled in`);
+	}
+
+	const startedAt = Number(data._startedAt);
+	const minFillMs = Number(env.SPAM_MIN_FILL_MS) || DEFAULT_MIN_FILL_MS;
+	if (startedAt && Date.now() - startedAt < minFillMs) {
+		flag(SCORES.tooFast, `form submitted ${Date.now() - startedAt}ms after render (minimum ${minFillMs}ms)`);
+	}
+
+	const text = Object.values(values).join('\n').toLowerCase().replace(/\s+/g, ' ').trim();
+
+	const links = (text.match(/https?:\/\/|www\./g) || []).length;
+	const maxLinks = Number(env.SPAM_MAX_LINKS ?? DEFAULT_MAX_LINKS);
+	if (links > maxLinks) flag((links - maxLinks) * SCORES.extraLink, `${links} links (maximum ${maxLinks})`);
+
+	for (const keyword of csv(env.SPAM_BLOCKED_KEYWORDS, DEFAULT_BLOCKED_KEYWORDS)) {
+		if (text.includes(keyword)) flag(SCORES.blockedKeyword, `blocked keyword "${keyword}"`);
+	}
+
+	const domain = (email || '').split('@')[1]?.toLowerCase();
+	if (domain && csv(env.SPAM_DISPOSABLE_DOMAINS, DEFAULT_DISPOSABLE_DOMAINS).includes(domain)) {
+		flag(SCORES.disposableEmail, `disposable email domain "${domain}"`);
+	}
+
+	const repeats = await countRepeats(env, text.replace(email?.toLowerCase() || '', ''));
+	if (repeats > 0) flag(SCORES.repeatedBody, `same message body seen ${repeats} time(s) in the last 24h`);
+
+	const thresholds = {
+		tag: Number(env.SPAM_TAG_SCORE) || DEFAULT_THRESHOLDS.tag,
+		quarantine: Number(env.SPAM_QUARANTINE_SCORE) || DEFAULT_THRESHOLDS.quarantine,
+		reject: Number(env.SPAM_REJECT_SCORE) || DEFAULT_THRESHOLDS.reject,
+	};
+	const verdict = score >= thresholds.reject ? 'reject' : score >= thresholds.quarantine ? 'quarantine' : score >= thresholds.tag ? 'tag' : 'ham';
+
+	return { verdict, score, reasons };
+}
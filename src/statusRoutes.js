@@ -0,0 +1,36 @@
+/**
+ * statusRoutes.js
+ *
+ *   GET /health    liveness for uptime checks (public; reports whether storage answers)
+ *   GET /metrics   submission counts per form type and outcome, rejection reasons and
+ *                  email/channel delivery success rates (admin only; ?days=1-90, default 7)
+ */
+
+import { jsonResponse } from './http';
+import { getMetricsSummary } from './metrics';
+
+export async function handleHealthRequest(request, env) {
+	let storage = 'not_configured';
+	if (env.SUBMISSIONS_KV) {
+		try {
+			await env.SUBMISSIONS_KV.get('health');
+			storage = 'ok';
+		} catch (err) {
+			storage = 'unavailable';
+		}
+	}
+
+	const healthy = storage !== 'unavailable';
+	return jsonResponse({ status: healthy ? 'ok' : 'degraded', checks: { storage }, time: new Date().toISOString() }, healthy ? 200 : 503, {
+		'Cache-Control': 'no-store',
+	});
+}
+
+export async function handleMetricsRequest(request, env) {
+	if (!env.SUBMISSIONS_KV) {
+		return jsonResponse({ error: 'Service unavailable', message: 'Metrics storage is not configured' }, 503);
+	}
+
+	const days = Number(new URL(request.url).searchParams.get('days')) || 7;
+	return jsonResponse(await getMetricsSummary(env, days), 200, { 'Cache-Control': 'no-store' });
+}
@@ -0,0 +1,83 @@
+/**
+ * submissionDelivery.js
+ *
+ * Renders and queues everything a submission triggers once it is accepted:
+ * the notification to the site's inbox, the auto-reply to the submitter and
+ * the chat/webhook channels. Runs right after validation, or when the
+ * submitter confirms their address for form types that require it (see
+ * `verification.js`).
+ */
+
+import getClientReplyMessage, { getClientReplySubject } from './clientReplyTemplate';
+import { inlineAttachmentRefs, withDownloadLinks } from './attachments';
+import { createDeliveryJob, enqueueDelivery } from './deliveryQueue';
+import { buildEmails } from './emailService';
+import { loadTemplate, renderNotificationEmail } from './emailTemplates';
+import { calendarInvite, interviewLinks } from './interviews';
+import { dispatchChannels } from './notificationChannels';
+
+/**
+ * The notification subject, flagged when the spam filter tagged the submission.
+ */
+export function submissionSubject(schema, submission) {
+	const subject = schema.subject(submission.fields);
+	return submission.spam?.verdict === 'tag' ? `[Possible spam] ${subject}` : subject;
+}
+
+/**
+ * Queues the notification and auto-reply as one delivery job, and the
+ * chat/webhook channels as another; the consumer retries each independently.
+ *
+ * @param {object} env
+ * @param {ExecutionContext} ctx
+ * @param {{ site: object, schema: object, submission: object, baseUrl: string }} options
+ *   `baseUrl` is the worker's own origin, used for signed links in the notification.
+ */
+export async function deliverSubmission(env, ctx, { site, schema, submission, baseUrl }) {
+	const { formType, fields: values, language } = submission;
+	const subject = submissionSubject(schema, submission);
+
+	const [notificationTemplate, autoReplyTemplate] = await Promise.all([
+		loadTemplate(env, 'notification', formType),
+		loadTemplate(env, 'autoReply', formType),
+	]);
+	const attachments = await withDownloadLinks(env, baseUrl, submission.attachments);
+	const interview = submission.interview ? await interviewLinks(env, baseUrl, site, submission) : null;
+	const notificationContent = renderNotificationEmail(notificationTemplate, {
+		schema,
+		values,
+		submission,
+		subject,
+		attachments,
+		interview,
+	});
+	const clientReply = getClientReplyMessage(
+		{
+			name: values[schema.replyTo.name],
+			budget: values.budget || null,
+			timeline: values.timeline || null,
+			preferredContact: 'Email',
+			formType,
+			language,
+			signature: site.signature,
+		},
+		autoReplyTemplate
+	);
+
+	// Fully localized; the English schema subject (and its spam flag) stays in the notification
+	const clientReplySubject = getClientReplySubject({ name: values[schema.replyTo.name] || values[schema.replyTo.email], language });
+	const emails = buildEmails(site, values[schema.replyTo.email], subject, notificationContent, clientReply, clientReplySubject);
+	const inline = inlineAttachmentRefs(env, submission.attachments);
+	if (inline.length > 0) {
+		emails.notification.attachments = inline;
+	}
+	// Both sides get the proposed slots as tentative calendar events
+	if (submission.interview) {
+		const invite = calendarInvite(site, submission);
+		emails.notification.attachments = [...(emails.notification.attachments || []), invite];
+		emails.autoReply.attachments = [invite];
+	}
+
+	await enqueueDelivery(env, ctx, createDeliveryJob(submission.id, emails));
+	await dispatchChannels(env, ctx, { site, schema, submission, subject });
+}
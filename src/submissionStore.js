@@ -0,0 +1,212 @@
+/**
+ * submissionStore.js
+ *
+ * Persists validated submissions to the `SUBMISSIONS_KV` namespace so a lead
+ * survives even if email delivery fails. Each record is stored under
+ * `submission:<id>` with a small metadata object so the inbox can be listed
+ * and filtered without fetching every record. Ids start with the inverted
+ * creation time (see `submissionId`), so KV, which lists keys in
+ * lexicographic order, lists the newest submissions first.
+ *
+ * Per-channel results of the chat/webhook notifications live next to it under
+ * `channels:<id>`, so the email and channel jobs never overwrite each other's
+ * updates.
+ */
+
+import { deleteAttachments } from './attachments';
+
+const PREFIX = 'submission:';
+const CHANNELS_PREFIX = 'channels:';
+// Workers KV does not accept expirations less than a minute away
+export const KV_MIN_TTL = 60;
+// KV reads in flight at once when fetching many records
+const FETCH_CONCURRENCY = 25;
+// Largest timestamp a Date can hold; ids count down from it
+const MAX_TIMESTAMP = 8.64e15;
+const TIMESTAMP_WIDTH = MAX_TIMESTAMP.toString(36).length;
+// KV list calls one filtered page may take before it returns short
+const MAX_LIST_CALLS = 10;
+
+export const SUBMISSION_STATUSES = ['new', 'replied', 'archived', 'spam', 'duplicate'];
+
+const toMetadata = (record) => ({
+	formType: record.formType,
+	status: record.status,
+	deliveryStatus: record.delivery.status,
+	createdAt: record.createdAt,
+	...(record.duplicateOf && { duplicateOf: record.duplicateOf }),
+	...(record.lead && { leadScore: record.lead.score }),
+});
+
+/**
+ * A new submission id: the time left until `MAX_TIMESTAMP` in fixed-width
+ * base 36, then a random UUID. Later ids sort first.
+ */
+export function submissionId(now = Date.now()) {
+	return `${(MAX_TIMESTAMP - now).toString(36).padStart(TIMESTAMP_WIDTH, '0')}-${crypto.randomUUID()}`;
+}
+
+/**
+ * Builds a new submission record from a validated request. `expiresAt` is
+ * set for submissions awaiting email confirmation (see `verification.js`);
+ * `duplicateOf` for repeats of an earlier submission, which are kept but
+ * never delivered (see `deduplication.js`); `consent` records the consent
+ * given and the version of its text (see `privacy.js`); `lead` holds the
+ * enriched CRM lead (see `leads.js`); `requestId` ties the record to the
+ * request's log lines.
+ */
+export function buildSubmission({
+	siteId,
+	formType,
+	fields,
+	language,
+	ip,
+	userAgent,
+	spam = null,
+	interview = null,
+	expiresAt = null,
+	requestId = null,
+	duplicateOf = null,
+	consent = null,
+	lead = null,
+}) {
+	const now = new Date().toISOString();
+	const quarantined = spam?.verdict === 'quarantine';
+	const duplicate = Boolean(duplicateOf) && !quarantined;
+	const unconfirmed = Boolean(expiresAt) && !quarantined && !duplicate;
+	return {
+		id: submissionId(Date.parse(now)),
+		siteId,
+		formType,
+		fields,
+		language: language || 'en',
+		ip,
+		userAgent,
+		spam,
+		attachments: [],
+		interview,
+		consent,
+		lead,
+		status: quarantined ? 'spam' : duplicate ? 'duplicate' : unconfirmed ? 'unconfirmed' : 'new',
+		delivery: { status: quarantined || duplicate ? 'skipped' : unconfirmed ? 'awaiting_confirmation' : 'pending', updatedAt: now },
+		// A repeat of an unconfirmed submission expires along with it
+		expiresAt: quarantined ? null : expiresAt,
+		duplicateOf: duplicate ? duplicateOf : null,
+		requestId,
+		createdAt: now,
+		updatedAt: now,
+	};
+}
+
+export async function saveSubmission(env, record) {
+	const options = { metadata: toMetadata(record) };
+	// Unconfirmed submissions expire on their own
+	if (record.expiresAt) {
+		options.expiration = Math.max(Math.floor(Date.parse(record.expiresAt) / 1000), Math.floor(Date.now() / 1000) + KV_MIN_TTL);
+	}
+	await env.SUBMISSIONS_KV.put(PREFIX + record.id, JSON.stringify(record), options);
+	return record;
+}
+
+export async function getSubmission(env, id) {
+	const raw = await env.SUBMISSIONS_KV.get(PREFIX + id);
+	return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Fetches several submissions, in the order of `ids`, skipping missing ones.
+ */
+export async function getSubmissions(env, ids) {
+	const records = [];
+	for (let i = 0; i < ids.length; i += FETCH_CONCURRENCY) {
+		records.push(...(await Promise.all(ids.slice(i, i + FETCH_CONCURRENCY).map((id) => getSubmission(env, id)))));
+	}
+	return records.filter(Boolean);
+}
+
+/**
+ * Applies `changes` to a stored submission and returns the updated record,
+ * or null if it does not exist.
+ */
+export async function updateSubmission(env, id, changes) {
+	const record = await getSubmission(env, id);
+	if (!record) return null;
+
+	const updated = { ...record, ...changes, updatedAt: new Date().toISOString() };
+	return saveSubmission(env, updated);
+}
+
+export async function setDeliveryStatus(env, id, status, details = {}) {
+	const record = await getSubmission(env, id);
+	if (!record) return null;
+
+	// Each job only carries its own emails; side emails recorded earlier stay listed
+	const emails = { ...record.delivery.emails, ...details.emails };
+	return updateSubmission(env, id, { delivery: { status, ...details, emails, updatedAt: new Date().toISOString() } });
+}
+
+/**
+ * Records per-email results of a side email (see `deliveryQueue.js`) without
+ * touching the overall delivery status.
+ */
+export async function setEmailStatus(env, id, emails) {
+	const record = await getSubmission(env, id);
+	if (!record) return null;
+
+	const delivery = { ...record.delivery, emails: { ...record.delivery.emails, ...emails }, updatedAt: new Date().toISOString() };
+	return updateSubmission(env, id, { delivery });
+}
+
+/**
+ * Records the latest per-channel notification results for a submission.
+ *
+ * @param {object} env
+ * @param {string} id
+ * @param {Object<string, { status: string, httpStatus?: number, error?: string, attempt?: number }>} channels
+ */
+export async function setChannelStatus(env, id, channels) {
+	await env.SUBMISSIONS_KV.put(CHANNELS_PREFIX + id, JSON.stringify(channels));
+}
+
+export async function getChannelStatus(env, id) {
+	const raw = await env.SUBMISSIONS_KV.get(CHANNELS_PREFIX + id);
+	return raw ? JSON.parse(raw) : {};
+}
+
+export async function deleteSubmission(env, id) {
+	const record = await getSubmission(env, id);
+	if (!record) return false;
+
+	await env.SUBMISSIONS_KV.delete(PREFIX + id);
+	await env.SUBMISSIONS_KV.delete(CHANNELS_PREFIX + id);
+	await deleteAttachments(env, record.attachments);
+	return true;
+}
+
+/**
+ * Lists one page of submission summaries, newest first. With filters, it
+ * keeps listing until the page is full, the store is exhausted or it has made
+ * `MAX_LIST_CALLS` list calls, so a page can still come back short with a
+ * cursor when matches are rare.
+ *
+ * @param {object} env
+ * @param {{ status?: string, formType?: string, cursor?: string, limit?: number }} options
+ * @returns {Promise<{ submissions: object[], cursor: string|null }>}
+ */
+export async function listSubmissions(env, { status, formType, cursor, limit = 100 } = {}) {
+	const submissions = [];
+	let calls = 0;
+	do {
+		// Never list more keys than the page has room for, so no match is skipped
+		const page = await env.SUBMISSIONS_KV.list({ prefix: PREFIX, cursor, limit: limit - submissions.length });
+		submissions.push(
+			...page.keys
+				.map(({ name, metadata }) => ({ id: name.slice(PREFIX.length), ...metadata }))
+				.filter((item) => (!status || item.status === status) && (!formType || item.formType === formType))
+		);
+		cursor = page.list_complete ? null : page.cursor;
+		calls++;
+	} while (cursor && submissions.length < limit && calls < MAX_LIST_CALLS);
+
+	return { submissions, cursor };
+}
@@ -0,0 +1,144 @@
+/**
+ * templateEngine.js
+ *
+ * A small, dependency-free template engine for email bodies.
+ *
+ *   {{path.to.value}}           HTML-escaped variable
+ *   {{{path.to.value}}}         raw variable (only for values that are already safe HTML)
+ *   {{#if path}}...{{else}}...{{/if}}
+ *   {{#unless path}}...{{/unless}}
+ *   {{#each list}}...{{/each}}  inside the loop `this`, `@index` and the item's own keys resolve first
+ *
+ * Also converts rendered HTML into a plain-text alternative.
+ */
+
+const TOKEN = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*(#if|#unless|#each|else|\/if|\/unless|\/each)?\s*([\w.@]*)\s*\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const compiled = new Map();
+
+/**
+ * Parses a template into a tree of text, variable and block nodes.
+ */
+export function compileTemplate(template) {
+	if (compiled.has(template)) return compiled.get(template);
+
+	const root = { children: [] };
+	const stack = [root];
+	let target = root.children;
+	let last = 0;
+
+	for (const match of template.matchAll(TOKEN)) {
+		if (match.index > last) target.push({ type: 'text', value: template.slice(last, match.index) });
+		last = match.index + match[0].length;
+
+		const [, rawPath, keyword, path] = match;
+		if (rawPath) {
+			target.push({ type: 'var', path: rawPath, raw: true });
+		} else if (!keyword) {
+			target.push({ type: 'var', path, raw: false });
+		} else if (keyword.startsWith('#')) {
+			const node = { type: keyword.slice(1), path, children: [], otherwise: [] };
+			target.push(node);
+			stack.push(node);
+			target = node.children;
+		} else if (keyword === 'else') {
+			const node = stack[stack.length - 1];
+			if (node === root || node.type === 'each') throw new Error('Unexpected {{else}} in template');
+			target = node.otherwise;
+		} else {
+			const node = stack.pop();
+			if (node === root || `/${node.type}` !== keyword) throw new Error(`Unexpected {{${keyword}}} in template`);
+			const parent = stack[stack.length - 1];
+			target = parent === root ? root.children : parent.otherwise.includes(node) ? parent.otherwise : parent.children;
+		}
+	}
+
+	if (stack.length > 1) throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} in template`);
+	if (last < template.length) root.children.push({ type: 'text', value: template.slice(last) });
+
+	compiled.set(template, root.children);
+	return root.children;
+}
+
+function lookup(scopes, path) {
+	const [head, ...rest] = path.split('.');
+	for (const scope of scopes) {
+		if (scope !== null && typeof scope === 'object' && head in scope) {
+			return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope[head]);
+		}
+	}
+	return undefined;
+}
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+function renderNodes(nodes, scopes) {
+	let out = '';
+	for (const node of nodes) {
+		switch (node.type) {
+			case 'text':
+				out += node.value;
+				break;
+			case 'var': {
+				const value = lookup(scopes, node.path);
+				if (value !== undefined && value !== null) out += node.raw ? String(value) : escapeHtml(value);
+				break;
+			}
+			case 'if':
+				out += renderNodes(isTruthy(lookup(scopes, node.path)) ? node.children : node.otherwise, scopes);
+				break;
+			case 'unless':
+				out += renderNodes(isTruthy(lookup(scopes, node.path)) ? node.otherwise : node.children, scopes);
+				break;
+			case 'each': {
+				const list = lookup(scopes, node.path);
+				if (Array.isArray(list)) {
+					list.forEach((item, index) => {
+						out += renderNodes(node.children, [{ this: item, '@index': index }, item, ...scopes]);
+					});
+				}
+				break;
+			}
+		}
+	}
+	return out;
+}
+
+/**
+ * Renders a template string against a context object.
+ */
+export function renderTemplate(template, context = {}) {
+	return renderNodes(compileTemplate(template), [context]);
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ', middot: '·' };
+
+/**
+ * Derives a readable plain-text alternative from an HTML email body.
+ */
+export function htmlToText(html) {
+	return html
+		.replace(/<!--[\s\S]*?-->/g, '')
+		.replace(/<(head|style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+		.replace(/>\s+</g, '><')
+		.replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+			const text = label.replace(/<[^>]+>/g, '').trim();
+			// Keep query strings on web links (signed URLs need them), drop them from mailto:
+			const target = href.startsWith('mailto:') ? href.slice(7).split('?')[0] : href;
+			return !target || text === target ? text : `${text} (${target})`;
+		})
+		.replace(/<br\s*\/?>/gi, '\n')
+		.replace(/<\/th>/gi, ': ')
+		.replace(/<\/(p|div|h[1-6]|tr|li|table)>/gi, '\n')
+		.replace(/<[^>]+>/g, '')
+		.replace(/&(amp|lt|gt|quot|#39|nbsp|middot);/g, (match, entity) => HTML_ENTITIES[entity])
+		.split('\n')
+		.map((line) => line.replace(/[ \t]+/g, ' ').trim())
+		.join('\n')
+		.replace(/\n{3,}/g, '\n\n')
+		.trim();
+}
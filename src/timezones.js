@@ -0,0 +1,93 @@
+/**
+ * timezones.js
+ *
+ * IANA time zone helpers built on `Intl`, which the Workers runtime ships
+ * with full time zone data.
+ */
+
+const DATETIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?(Z|[+-]\d{2}:?\d{2})?$/;
+
+export function isValidTimeZone(timeZone) {
+	if (typeof timeZone !== 'string' || !timeZone) return false;
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone });
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Parses `YYYY-MM-DDTHH:mm[:ss]` with an optional `Z`/`±HH:MM` offset.
+ * Returns the wall-clock parts and the offset (null when none was given), or
+ * null if the value is not a real date and time.
+ */
+export function parseDateTime(value) {
+	const match = DATETIME.exec(String(value).trim());
+	if (!match) return null;
+
+	const [year, month, day, hour, minute, second] = match.slice(1, 7).map((part) => Number(part || 0));
+	const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+	const check = new Date(wallClock);
+	if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) return null;
+
+	return { wallClock, offset: match[7] || null };
+}
+
+/**
+ * Offset of `timeZone` from UTC at the given instant, in milliseconds.
+ */
+export function timeZoneOffset(timeZone, instant) {
+	const parts = Object.fromEntries(
+		new Intl.DateTimeFormat('en-US', {
+			timeZone,
+			hourCycle: 'h23',
+			year: 'numeric',
+			month: '2-digit',
+			day: '2-digit',
+			hour: '2-digit',
+			minute: '2-digit',
+			second: '2-digit',
+		})
+			.formatToParts(instant)
+			.map(({ type, value }) => [type, Number(value)])
+	);
+	const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+	return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Converts a datetime string to a UTC `Date`. Values with an explicit offset
+ * are taken as is; otherwise the wall-clock time is read in `timeZone`
+ * (DST-aware: a time skipped by a spring-forward jump moves forward).
+ *
+ * @returns {Date|null}
+ */
+export function toUtc(value, timeZone = 'UTC') {
+	const parsed = parseDateTime(value);
+	if (!parsed) return null;
+
+	if (parsed.offset) {
+		if (parsed.offset === 'Z') return new Date(parsed.wallClock);
+		const sign = parsed.offset.startsWith('-') ? -1 : 1;
+		const [hours, minutes] = [parsed.offset.slice(1, 3), parsed.offset.slice(-2)].map(Number);
+		return new Date(parsed.wallClock - sign * (hours * 60 + minutes) * 60 * 1000);
+	}
+
+	// Guess with the offset at the wall-clock instant, then use the offset at the guess (DST)
+	const guess = parsed.wallClock - timeZoneOffset(timeZone, parsed.wallClock);
+	return new Date(parsed.wallClock - timeZoneOffset(timeZone, guess));
+}
+
+/**
+ * Formats an instant for people in `timeZone`, e.g. "Tuesday, 3 November 2026 at 14:00 (Europe/London)".
+ */
+export function formatInTimeZone(date, timeZone, locale = 'en-GB') {
+	let formatted;
+	try {
+		formatted = new Intl.DateTimeFormat(locale, { timeZone, dateStyle: 'full', timeStyle: 'short' }).format(date);
+	} catch {
+		formatted = new Intl.DateTimeFormat('en-GB', { timeZone, dateStyle: 'full', timeStyle: 'short' }).format(date);
+	}
+	return `${formatted} (${timeZone})`;
+}
@@ -0,0 +1,112 @@
+/**
+ * validation.js
+ *
+ * Validates a submission against a form schema from `formSchemas.js` and
+ * returns the sanitized values together with per-field errors.
+ */
+
+import { isValidTimeZone, parseDateTime, toUtc } from './timezones';
+
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email?.trim() || '');
+export const isValidPhone = (phone) => /^[\d\s+\-()]{6,20}$/.test(phone);
+export const sanitize = (val) => (val ? val.toString().trim() : '');
+
+const isValidUrl = (value) => {
+	try {
+		const url = new URL(value);
+		return url.protocol === 'https:' || url.protocol === 'http:';
+	} catch {
+		return false;
+	}
+};
+
+const isValidDate = (value) => !Number.isNaN(Date.parse(value));
+
+const DEFAULT_MAX_LENGTH = 1000;
+
+// Format checks per field type; `string` only gets the length checks.
+const typeChecks = {
+	email: { test: isValidEmail, code: 'invalid_email', message: (label) => `Invalid ${label.toLowerCase()}` },
+	phone: { test: isValidPhone, code: 'invalid_phone', message: (label) => `Invalid ${label.toLowerCase()} format` },
+	url: { test: isValidUrl, code: 'invalid_url', message: (label) => `${label} must be a valid http(s) URL` },
+	date: { test: isValidDate, code: 'invalid_date', message: (label) => `${label} must be a valid date` },
+	datetime: {
+		test: (value) => parseDateTime(value) !== null,
+		code: 'invalid_datetime',
+		message: (label) => `${label} must be a date and time like 2026-11-03T14:00`,
+	},
+	timezone: { test: isValidTimeZone, code: 'invalid_timezone', message: (label) => `${label} must be an IANA time zone like Europe/London` },
+};
+
+/**
+ * Validates a single field value against its definition.
+ * Returns `{ value, error }` where `error` is `{ field, code, message }` or null.
+ */
+export function validateField(name, definition, rawValue) {
+	const label = definition.label || name;
+	const isObject = rawValue !== undefined && rawValue !== null && typeof rawValue === 'object';
+	const value = isObject ? '' : sanitize(rawValue);
+	const fail = (code, message) => ({ value, error: { field: name, code, message } });
+
+	if (isObject) return fail('invalid_type', `${label} must be a string`);
+
+	if (!value) {
+		return definition.required ? fail('required', `${label} is required`) : { value, error: null };
+	}
+
+	const minLength = definition.minLength || 0;
+	const maxLength = definition.maxLength || DEFAULT_MAX_LENGTH;
+	if (value.length < minLength) return fail('too_short', `${label} must be at least ${minLength} characters`);
+	if (value.length > maxLength) return fail('too_long', `${label} must be less than ${maxLength} characters`);
+
+	const check = typeChecks[definition.type];
+	if (check && !check.test(value)) return fail(check.code, check.message(label));
+
+	if (definition.type === 'enum' && !definition.enum.includes(value)) {
+		return fail('invalid_enum', `${label} must be one of: ${definition.enum.join(', ')}`);
+	}
+
+	if (definition.pattern && !definition.pattern.test(value)) {
+		return fail('pattern_mismatch', definition.patternMessage || `${label} has an invalid format`);
+	}
+
+	return { value, error: null };
+}
+
+/**
+ * Validates `data` against `schema`.
+ *
+ * @param {object} schema - A form schema from the registry.
+ * @param {object} data - The raw request payload.
+ * @returns {{ values: object, errors: Array<{field: string, code: string, message: string}> }}
+ */
+export function validateSubmission(schema, data) {
+	const values = {};
+	const errors = [];
+
+	for (const [name, definition] of Object.entries(schema.fields)) {
+		const { value, error } = validateField(name, definition, data[name]);
+		values[name] = value;
+		if (error) errors.push(error);
+	}
+
+	// Cross-field rules, e.g. "at least one of these dates".
+	for (const rule of schema.rules || []) {
+		if (rule.oneOf && !rule.oneOf.some((name) => values[name])) {
+			errors.push({ field: rule.oneOf[0], code: 'required_one_of', message: rule.message });
+		}
+	}
+
+	// Proposed slots must lie in the future, read in the submitter's time zone.
+	if (schema.scheduling && !errors.some((error) => error.field === schema.scheduling.timezone)) {
+		const timeZone = values[schema.scheduling.timezone] || 'UTC';
+		for (const name of schema.scheduling.slots) {
+			if (!values[name] || errors.some((error) => error.field === name)) continue;
+			if (toUtc(values[name], timeZone) <= new Date()) {
+				errors.push({ field: name, code: 'not_in_future', message: `${schema.fields[name].label || name} must be in the future` });
+			}
+		}
+	}
+
+	return { values, errors };
+}
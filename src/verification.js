@@ -0,0 +1,128 @@
+/**
+ * verification.js
+ *
+ * Double opt-in for form types that must not email an address before its
+ * owner proves they control it. Form types listed in a site's
+ * `verifyFormTypes` (or `VERIFY_FORM_TYPES` for the default site) are stored as
+ * `unconfirmed` and the submitter only gets a short confirmation email with a
+ * signed link to `GET /confirm/<token>`. Opening the link shows a page with a
+ * button; only its `POST` confirms the submission and sends the admin
+ * notification, the full auto-reply and the channels (see
+ * `submissionDelivery.js`), so mail scanners that prefetch links cannot
+ * confirm an address for its owner.
+ *
+ * The token is `<submissionId>.<expires>.<signature>`, keyed by
+ * `SIGNING_SECRET`, and lives for `CONFIRMATION_TTL` seconds (default 24
+ * hours). The pending record expires from `SUBMISSIONS_KV` at the same time,
+ * so unconfirmed submissions disappear on their own.
+ */
+
+import { createDeliveryJob, enqueueDelivery } from './deliveryQueue';
+import { buildReply } from './emailService';
+import { loadTemplate } from './emailTemplates';
+import { getFormSchema } from './formSchemas';
+import { htmlPage } from './http';
+import { formatMessage, getMessage } from './i18n';
+import { sign, verifySignature } from './signing';
+import { getDefaultSite, getSiteById } from './siteConfig';
+import { deliverSubmission } from './submissionDelivery';
+import { KV_MIN_TTL, getSubmission, updateSubmission } from './submissionStore';
+import { renderTemplate } from './templateEngine';
+
+const DEFAULT_TTL = 24 * 60 * 60;
+
+export const requiresConfirmation = (site, formType) => site.verifyFormTypes.includes(formType);
+
+/**
+ * How long, in seconds, a submission waits for confirmation.
+ */
+export const confirmationTtl = (env) => Math.max(Number(env.CONFIRMATION_TTL) || DEFAULT_TTL, KV_MIN_TTL);
+
+export async function createConfirmationToken(secret, submissionId, ttlSeconds) {
+	const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+	return `${submissionId}.${expires}.${await sign(secret, `confirm:${submissionId}:${expires}`)}`;
+}
+
+/**
+ * Returns the submission id of a valid, unexpired token, or null.
+ */
+export async function readConfirmationToken(secret, token) {
+	const [submissionId, expires, signature] = String(token).split('.');
+	if (!secret || !submissionId || !signature || !(Number(expires) > Date.now() / 1000)) return null;
+
+	return (await verifySignature(secret, `confirm:${submissionId}:${expires}`, signature)) ? submissionId : null;
+}
+
+/**
+ * Queues the confirmation email for an unconfirmed submission.
+ *
+ * @param {{ site: object, schema: object, submission: object, baseUrl: string }} options
+ */
+export async function requestConfirmation(env, ctx, { site, schema, submission, baseUrl }) {
+	const { language, fields } = submission;
+	const ttl = Math.max(Math.floor((Date.parse(submission.expiresAt) - Date.now()) / 1000), KV_MIN_TTL);
+	const token = await createConfirmationToken(env.SIGNING_SECRET, submission.id, ttl);
+	const subject = getMessage(language, 'confirmation.subject');
+
+	const template = await loadTemplate(env, 'confirmation', submission.formType);
+	const html = renderTemplate(template, {
+		language,
+		subject,
+		intro: formatMessage(getMessage(language, 'confirmation.intro'), { name: fields[schema.replyTo.name] || fields[schema.replyTo.email] }),
+		button: getMessage(language, 'confirmation.button'),
+		expiry: formatMessage(getMessage(language, 'confirmation.expiry'), { hours: Math.round(ttl / 3600) || 1 }),
+		confirmUrl: new URL(`/confirm/${token}`, baseUrl).toString(),
+		regards: getMessage(language, 'labels.regards'),
+		signature: site.signature,
+	});
+
+	const email = buildReply(site, { email: fields[schema.replyTo.email], name: fields[schema.replyTo.name] }, subject, html);
+	await enqueueDelivery(env, ctx, createDeliveryJob(submission.id, { confirmation: email }, { tracked: false }));
+}
+
+/**
+ * Serves `/confirm/<token>`: `GET` shows a confirmation page, `POST` marks the
+ * submission confirmed and queues its notification, auto-reply and channels.
+ * Confirming again is a no-op.
+ */
+export async function handleConfirmation(request, env, ctx) {
+	const url = new URL(request.url);
+	const submissionId = await readConfirmationToken(env.SIGNING_SECRET, url.pathname.slice('/confirm/'.length));
+	if (!submissionId) {
+		return htmlPage(403, {
+			title: 'Link expired',
+			message: 'This confirmation link is invalid or has expired. Please submit the form again.',
+		});
+	}
+	if (!env.SUBMISSIONS_KV) {
+		return htmlPage(503, { title: 'Unavailable', message: 'Email confirmation needs the submission store.' });
+	}
+
+	const submission = await getSubmission(env, submissionId);
+	if (!submission) {
+		return htmlPage(404, { title: 'Link expired', message: 'This submission has expired. Please submit the form again.' });
+	}
+	if (submission.confirmedAt) {
+		return htmlPage(200, { title: 'Already confirmed', message: 'Your email address is already confirmed. Thank you!' });
+	}
+	if (request.method === 'GET') {
+		return htmlPage(200, {
+			title: 'Confirm your email',
+			message: 'Press the button to confirm your email address and send your message.',
+			action: url.pathname,
+			button: 'Confirm',
+		});
+	}
+
+	const now = new Date().toISOString();
+	const confirmed = await updateSubmission(env, submissionId, {
+		status: 'new',
+		confirmedAt: now,
+		expiresAt: null,
+		delivery: { ...submission.delivery, status: 'pending', updatedAt: now },
+	});
+	const site = (await getSiteById(env, confirmed.siteId)) || getDefaultSite(env);
+	await deliverSubmission(env, ctx, { site, schema: getFormSchema(confirmed.formType), submission: confirmed, baseUrl: url.origin });
+
+	return htmlPage(200, { title: 'Email confirmed', message: 'Thank you! Your message has been sent.' });
+}
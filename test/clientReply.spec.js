@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import getClientReplyMessage, { getClientReplySubject } from '../src/clientReplyTemplate';
+import { catalogs } from '../src/i18n';
+
+describe('getClientReplyMessage', () => {
+	it.each(Object.keys(catalogs))('renders the %s auto-reply', (language) => {
+		const html = getClientReplyMessage({
+			name: 'Jane',
+			budget: '$5,000 - $10,000',
+			timeline: '2-3 months',
+			preferredContact: 'Email',
+			formType: 'quote',
+			language,
+		});
+
+		expect(html).toMatchSnapshot('html');
+		expect(getClientReplySubject({ name: 'Jane', language })).toMatchSnapshot('subject');
+	});
+
+	it('escapes submitted values', () => {
+		const html = getClientReplyMessage({ name: '<script>alert(1)</script>', formType: 'message', language: 'en' });
+
+		expect(html).not.toContain('<script>');
+		expect(html).toContain('&lt;script&gt;');
+	});
+});
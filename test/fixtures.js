@@ -0,0 +1,53 @@
+/**
+ * fixtures.js
+ *
+ * A valid submission for every form type in `src/formSchemas.js`, plus the
+ * reply-to address each one should get its auto-reply at.
+ */
+
+export const formFixtures = {
+	quote: {
+		replyTo: 'jane@example.com',
+		body: {
+			name: 'Jane Doe',
+			email: 'jane@example.com',
+			phone: '+254 700 000000',
+			project: 'A marketing site with a blog',
+			budget: '$5,000 - $10,000',
+			timeline: '2-3 months',
+		},
+	},
+	message: {
+		replyTo: 'sam@example.com',
+		body: {
+			name: 'Sam Lee',
+			email: 'sam@example.com',
+			subject: 'Speaking invitation',
+			messageBody: 'Would you speak at our meetup next month?',
+		},
+	},
+	recruiter_query: {
+		replyTo: 'alex@talent.example.com',
+		body: {
+			recruiterName: 'Alex Kim',
+			recruiterEmail: 'alex@talent.example.com',
+			companyName: 'Talent Co',
+			roleTitle: 'Senior Backend Engineer',
+			roleLocation: 'Remote',
+			keySkills: 'Node.js, Cloudflare Workers',
+			linkToJD: 'https://talent.example.com/jobs/42',
+		},
+	},
+	interview_proposal: {
+		replyTo: 'maria@hire.example.com',
+		body: {
+			recruiterName: 'Maria Silva',
+			companyName: 'Hire Ltd',
+			recruiterEmail: 'maria@hire.example.com',
+			proposedDate1: '2030-03-12T10:00',
+			proposedDate2: '2030-03-13T15:30',
+			interviewTimezoneRecruiter: 'Europe/London',
+			roleTitleInterview: 'Staff Engineer',
+		},
+	},
+};
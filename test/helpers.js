@@ -0,0 +1,169 @@
+/**
+ * helpers.js
+ *
+ * Local stand-ins for the worker's bindings and providers, so tests run
+ * without a wrangler config, real KV namespaces or network access:
+ *
+ *  - `createMemoryKV()`: an in-memory Workers KV namespace (get, put, delete,
+ *    list with metadata, prefixes, cursors and expirations).
+ *  - `createMemoryQueue()`: a queue producer that keeps what it is sent, and
+ *    `runQueueBatch()` to hand those messages to the queue consumer.
+ *  - `installFakeEmailProvider()`: registers a `fake` email provider that
+ *    records every message instead of calling Mailtrap.
+ *  - `createTestEnv()`: an env with both, an API key and an admin key.
+ *  - `runWorker()` / `submitForm()`: call the worker and wait for its
+ *    background work (inline delivery) to finish.
+ */
+
+import { createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import worker from '../src';
+import { emailProviders } from '../src/emailProviders';
+import { clearSiteCache } from '../src/siteConfig';
+
+export const API_KEY = 'test-api-key';
+export const ADMIN_API_KEY = 'test-admin-key';
+export const ORIGIN = 'https://example.com';
+
+/**
+ * In-memory KV namespace with the subset of the Workers KV API the worker uses.
+ */
+export function createMemoryKV() {
+	const entries = new Map();
+
+	const live = (key) => {
+		const entry = entries.get(key);
+		if (entry?.expiration && entry.expiration * 1000 <= Date.now()) {
+			entries.delete(key);
+			return null;
+		}
+		return entry || null;
+	};
+
+	return {
+		entries,
+
+		async get(key, options) {
+			const entry = live(key);
+			if (!entry) return null;
+			const type = typeof options === 'string' ? options : options?.type;
+			return type === 'json' ? JSON.parse(entry.value) : entry.value;
+		},
+
+		async put(key, value, { expiration, expirationTtl, metadata } = {}) {
+			const expiresAt = expiration || (expirationTtl ? Math.floor(Date.now() / 1000) + expirationTtl : undefined);
+			entries.set(key, { value: String(value), expiration: expiresAt, metadata: metadata ?? null });
+		},
+
+		async delete(key) {
+			entries.delete(key);
+		},
+
+		async list({ prefix = '', cursor, limit = 1000 } = {}) {
+			const names = [...entries.keys()].filter((name) => name.startsWith(prefix) && live(name)).sort();
+			const start = cursor ? Number(cursor) : 0;
+			const page = names.slice(start, start + limit);
+			const complete = start + limit >= names.length;
+			return {
+				keys: page.map((name) => ({ name, metadata: entries.get(name).metadata, expiration: entries.get(name).expiration })),
+				list_complete: complete,
+				cursor: complete ? undefined : String(start + limit),
+			};
+		},
+	};
+}
+
+/**
+ * Queue producer that records every `send` as `{ body, options }` in `messages`.
+ */
+export function createMemoryQueue() {
+	const messages = [];
+	return {
+		messages,
+
+		async send(body, options) {
+			messages.push({ body: structuredClone(body), options });
+		},
+	};
+}
+
+/**
+ * Runs the queue consumer on the given job bodies, as delivery attempt
+ * `attempts`, and returns each message's outcome: `'ack'` or `{ retry }`.
+ */
+export async function runQueueBatch(env, bodies, { attempts = 1 } = {}) {
+	const outcomes = [];
+	const messages = bodies.map((body, i) => ({
+		id: String(i),
+		body,
+		attempts,
+		ack: () => (outcomes[i] = 'ack'),
+		retry: (options) => (outcomes[i] = { retry: options }),
+	}));
+	const ctx = createExecutionContext();
+	await worker.queue({ queue: 'deliveries', messages }, env, ctx);
+	await waitOnExecutionContext(ctx);
+	return outcomes;
+}
+
+/**
+ * Registers the `fake` email provider and returns the list it records sent
+ * messages in. Select it with `EMAIL_PROVIDER=fake`.
+ *
+ * @param {{ status?: number }} [options] - answer with this status instead of 200
+ */
+export function installFakeEmailProvider({ status = 200 } = {}) {
+	const sent = [];
+	emailProviders.fake = {
+		async send(env, message) {
+			const ok = status < 400;
+			if (ok) sent.push(message);
+			return { ok, provider: 'fake', status, retryable: status >= 500 || status === 429, error: ok ? undefined : 'Fake failure' };
+		},
+	};
+	return sent;
+}
+
+/**
+ * A fresh env for one test: memory KV for rate limits and submissions, the
+ * fake email provider and the test keys.
+ */
+export function createTestEnv(overrides = {}) {
+	clearSiteCache();
+	return {
+		API_KEY,
+		ADMIN_API_KEY,
+		EMAIL_PROVIDER: 'fake',
+		FROM_EMAIL: 'owner@example.com',
+		ALLOWED_ORIGINS: ORIGIN,
+		SIGNING_SECRET: 'test-signing-secret',
+		RATE_LIMIT_KV: createMemoryKV(),
+		SUBMISSIONS_KV: createMemoryKV(),
+		...overrides,
+	};
+}
+
+/**
+ * Calls the worker and waits for everything it handed to `ctx.waitUntil`.
+ */
+export async function runWorker(request, env) {
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, env, ctx);
+	await waitOnExecutionContext(ctx);
+	return response;
+}
+
+/**
+ * Posts a JSON submission to `/v1/forms/:formType`.
+ *
+ * @param {{ headers?: object, ip?: string }} [options]
+ */
+export function submitForm(env, formType, body, { headers = {}, ip = '203.0.113.7' } = {}) {
+	return runWorker(
+		new Request(`https://forms.example.com/v1/forms/${formType}`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY, 'CF-Connecting-IP': ip, Origin: ORIGIN, ...headers },
+			body: JSON.stringify(body),
+		}),
+		env
+	);
+}
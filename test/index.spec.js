@@ -1,20 +1,583 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
-import worker from '../src';
-
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
-		// Create an empty context to pass to `worker.fetch()`.
-		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
-	});
-
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+import { fetchMock } from 'cloudflare:test';
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import { fallbackChain, findMissingKeys, negotiateLocale } from '../src/i18n';
+import { toUtc } from '../src/timezones';
+import { buildCalendar } from '../src/calendar';
+import { getFormSchema } from '../src/formSchemas';
+import { buildInterview, calendarInvite } from '../src/interviews';
+import { redact } from '../src/logger';
+import { compileTemplate, renderTemplate } from '../src/templateEngine';
+import { createRouter } from '../src/router';
+import { findApiKey, getGlobalKeys, keyStatus, normalizeApiKeys } from '../src/apiKeys';
+import { contentFingerprint } from '../src/deduplication';
+import { hashIdentifier, readConsent } from '../src/privacy';
+import { getMetricsSummary, recordMetrics } from '../src/metrics';
+import { listSubmissions, saveSubmission, submissionId } from '../src/submissionStore';
+import { checkRateLimit, getPolicy } from '../src/rateLimiter';
+import { clearSiteCache, getDefaultSite, originMatches, resolveSite } from '../src/siteConfig';
+import { DOCX, MB, matchesMagicBytes, validateAttachments } from '../src/attachments';
+import { signHex, signUrl, verifySignedUrl } from '../src/signing';
+import { formFixtures } from './fixtures';
+import { createMemoryKV, createTestEnv, installFakeEmailProvider, submitForm } from './helpers';
+
+describe('i18n', () => {
+	it('defines every message key in every locale', () => {
+		expect(findMissingKeys()).toEqual({});
+	});
+
+	it('negotiates the language field, then Accept-Language, then the default', () => {
+		expect(negotiateLocale({ language: 'fr', acceptLanguage: 'de' })).toBe('fr');
+		expect(negotiateLocale({ language: 'xx', acceptLanguage: 'pt-BR, es;q=0.8, de;q=0.9' })).toBe('de');
+		expect(negotiateLocale({ acceptLanguage: 'es-MX' })).toBe('es-MX');
+		expect(negotiateLocale({ defaultLocale: 'sw' })).toBe('sw');
+		expect(fallbackChain('pt-BR')).toEqual(['pt-BR', 'pt', 'en']);
+	});
+});
+
+describe('timezones', () => {
+	it('converts wall-clock times to UTC across DST changes', () => {
+		expect(toUtc('2026-07-01T09:00', 'America/New_York').toISOString()).toBe('2026-07-01T13:00:00.000Z');
+		expect(toUtc('2026-12-01 09:00', 'America/New_York').toISOString()).toBe('2026-12-01T14:00:00.000Z');
+		// 01:30 does not exist in London on this day; it moves forward with the clocks
+		expect(toUtc('2026-03-29T01:30', 'Europe/London').toISOString()).toBe('2026-03-29T01:30:00.000Z');
+		expect(toUtc('2026-07-01T09:00+02:00', 'America/New_York').toISOString()).toBe('2026-07-01T07:00:00.000Z');
+		expect(toUtc('2026-02-30T09:00', 'UTC')).toBeNull();
+	});
+});
+
+describe('calendar', () => {
+	// Physical lines of an .ics document, and its logical lines once unfolded
+	const physicalLines = (ics) => ics.split('\r\n').slice(0, -1);
+	const unfold = (ics) => physicalLines(ics.replace(/\r\n /g, ''));
+
+	it('escapes text and folds long lines at 75 octets without splitting characters', () => {
+		const description = `Agenda; intro, system design\nthen Q&A with the team ${'— café '.repeat(20)}`;
+		const ics = buildCalendar({
+			events: [
+				{
+					uid: 'abc-1@example.com',
+					start: new Date('2030-03-12T10:00:00Z'),
+					end: new Date('2030-03-12T11:00:00Z'),
+					summary: 'Interview: Staff Engineer, Platform; Remote',
+					description,
+				},
+			],
+			organizer: { email: 'owner@example.com', name: 'Owner, "Hiring"' },
+		});
+
+		expect(ics.endsWith('\r\n')).toBe(true);
+		expect(ics.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+		for (const line of physicalLines(ics)) {
+			expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+		}
+		expect(physicalLines(ics).some((line) => line.startsWith(' '))).toBe(true);
+
+		const lines = unfold(ics);
+		expect(lines).toContain('SUMMARY:Interview: Staff Engineer\\, Platform\\; Remote');
+		expect(lines).toContain(`DESCRIPTION:${description.replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n')}`);
+		expect(lines).toContain('ORGANIZER;CN=Owner\\, Hiring:mailto:owner@example.com');
+		expect(lines).toContain('DTSTART:20300312T100000Z');
+	});
+
+	it("places the slots in the submitter's time zone and confirms one under the same UID", () => {
+		const site = getDefaultSite(createTestEnv({ SITE_URL: 'https://forms.example.com' }));
+		const values = {
+			...formFixtures.interview_proposal.body,
+			proposedDate2: '2030-07-12T10:00',
+			interviewTimezoneRecruiter: 'Europe/London',
+		};
+		const schema = getFormSchema('interview_proposal');
+		const submission = {
+			id: 'sub-1',
+			formType: 'interview_proposal',
+			fields: values,
+			interview: buildInterview(schema.scheduling, values),
+		};
+		const decode = ({ content }) => unfold(new TextDecoder().decode(Uint8Array.from(atob(content), (char) => char.charCodeAt(0))));
+
+		const invite = calendarInvite(site, submission);
+		expect(invite).toMatchObject({ filename: 'interview.ics', contentType: expect.stringContaining('text/calendar') });
+		const proposed = decode(invite);
+		// 10:00 in London is 10:00 UTC in March (GMT) and 09:00 UTC in July (BST)
+		expect(proposed.filter((line) => line.startsWith('DTSTART:'))).toEqual(['DTSTART:20300312T100000Z', 'DTSTART:20300712T090000Z']);
+		expect(proposed).toContain('DTEND:20300712T100000Z');
+		expect(proposed).toContain('SUMMARY:Interview: Staff Engineer - Hire Ltd (option 2)');
+		expect(proposed).toContain('UID:sub-1-2@forms.example.com');
+		expect(proposed.filter((line) => line === 'STATUS:TENTATIVE')).toHaveLength(2);
+		expect(proposed).toContain('ATTENDEE;ROLE=REQ-PARTICIPANT;CN=Maria Silva:mailto:maria@hire.example.com');
+
+		const confirmed = decode(calendarInvite(site, submission, submission.interview.slots[1]));
+		expect(confirmed.filter((line) => line.startsWith('UID:'))).toEqual(['UID:sub-1-2@forms.example.com']);
+		expect(confirmed).toContain('SUMMARY:Interview: Staff Engineer - Hire Ltd');
+		expect(confirmed).toContain('STATUS:CONFIRMED');
+		expect(confirmed).toContain('SEQUENCE:1');
+	});
+});
+
+describe('template engine', () => {
+	it('renders nested if, else, unless and each blocks', () => {
+		const template =
+			'{{#if items}}<ul>{{#each items}}<li>{{@index}}:{{#if done}}done {{name}}{{else}}{{#if owner}}{{name}} for {{owner}}{{else}}{{name}} for {{team}}{{/if}}{{/if}}</li>{{/each}}</ul>{{else}}Nothing to do{{/if}}{{#unless items}}!{{else}}.{{/unless}}';
+		const items = [{ name: 'Write', done: true }, { name: 'Review', owner: 'Sam' }, { name: 'Ship' }];
+
+		expect(renderTemplate(template, { items, team: 'core' })).toBe(
+			'<ul><li>0:done Write</li><li>1:Review for Sam</li><li>2:Ship for core</li></ul>.'
+		);
+		expect(renderTemplate(template, { items: [], team: 'core' })).toBe('Nothing to do!');
+		expect(renderTemplate(template, {})).toBe('Nothing to do!');
+	});
+
+	it('resolves this, the item, then the outer context inside each', () => {
+		const context = { name: 'outer', site: { name: 'Acme' }, tags: ['a', 'b'], rows: [{ name: 'inner' }, { label: 'no name' }] };
+
+		expect(renderTemplate('{{#each tags}}{{this}}{{@index}} {{/each}}', context)).toBe('a0 b1 ');
+		expect(renderTemplate('{{#each rows}}{{name}}@{{site.name}} {{/each}}', context)).toBe('inner@Acme outer@Acme ');
+		expect(renderTemplate('{{#each missing}}x{{/each}}{{#each name}}y{{/each}}', context)).toBe('');
+	});
+
+	it('escapes variables unless they use triple braces', () => {
+		const context = { value: `<b>"Tom" & 'Jerry'</b>`, zero: 0, empty: null, user: { name: '<i>Ann</i>' } };
+
+		expect(renderTemplate('{{value}}', context)).toBe('&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+		expect(renderTemplate('{{{value}}}', context)).toBe(`<b>"Tom" & 'Jerry'</b>`);
+		expect(renderTemplate('{{ user.name }}|{{{ user.name }}}', context)).toBe('&lt;i&gt;Ann&lt;/i&gt;|<i>Ann</i>');
+		expect(renderTemplate('[{{zero}}][{{empty}}][{{missing}}][{{user.missing.deeper}}]', context)).toBe('[0][][][]');
+	});
+
+	it('leaves unknown tags as text and rejects unbalanced blocks', () => {
+		expect(renderTemplate('{{#with user}}{{> footer}}{{!note}}', { user: 'x' })).toBe('{{#with user}}{{> footer}}{{!note}}');
+
+		expect(() => compileTemplate('{{#if a}}open')).toThrow('Unclosed {{#if}}');
+		expect(() => compileTemplate('{{#if a}}x{{/each}}')).toThrow('Unexpected {{/each}}');
+		expect(() => compileTemplate('stray{{/if}}')).toThrow('Unexpected {{/if}}');
+		expect(() => compileTemplate('{{else}}')).toThrow('Unexpected {{else}}');
+		expect(() => compileTemplate('{{#each list}}{{else}}{{/each}}')).toThrow('Unexpected {{else}}');
+	});
+
+	it('compiles each template once', () => {
+		const template = 'Hello {{name}}';
+		expect(compileTemplate(template)).toBe(compileTemplate(template));
+		expect(renderTemplate(template, { name: 'Ann' })).toBe('Hello Ann');
+	});
+});
+
+describe('logger', () => {
+	it('redacts personal data and credentials before logging', () => {
+		expect(
+			redact({
+				formType: 'quote',
+				email: 'jane@example.com',
+				recruiterName: 'Jane',
+				apiKey: 'secret',
+				error: 'Recipient jane@example.com rejected from 203.0.113.7 and 2001:db8::42',
+				at: '12:30:45',
+			})
+		).toEqual({
+			formType: 'quote',
+			email: '[redacted]',
+			recruiterName: '[redacted]',
+			apiKey: '[redacted]',
+			error: 'Recipient [email] rejected from [ip] and [ip]',
+			at: '12:30:45',
+		});
+	});
+});
+
+describe('router', () => {
+	const route = (router, method, path) =>
+		router.handle({ request: new Request(`https://worker.example${path}`, { method }), url: new URL(`https://worker.example${path}`) });
+
+	it('matches path parameters and answers 404 and 405', async () => {
+		const router = createRouter();
+		router.post('/v1/forms/:formType', (c) => Response.json(c.params));
+		router.all('/submissions/*', () => new Response('admin'));
+
+		expect(await (await route(router, 'POST', '/v1/forms/quote')).json()).toEqual({ formType: 'quote' });
+		expect(await (await route(router, 'DELETE', '/submissions/abc')).text()).toBe('admin');
+
+		const wrongMethod = await route(router, 'GET', '/v1/forms/quote');
+		expect(wrongMethod.status).toBe(405);
+		expect(wrongMethod.headers.get('Allow')).toBe('POST');
+		expect((await route(router, 'POST', '/v1/forms')).status).toBe(404);
+	});
+});
+
+describe('api keys', () => {
+	it('finds plain and hashed keys and honours their validity window', async () => {
+		// keyHash is the SHA-256 of "test"
+		const keys = normalizeApiKeys([
+			'legacy-key',
+			{ id: 'hashed', keyHash: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08' },
+			{ id: 'signing-only', secret: 'shh' },
+		]);
+
+		expect((await findApiKey(keys, 'legacy-key')).key).toBe('legacy-key');
+		expect((await findApiKey(keys, 'test')).id).toBe('hashed');
+		expect(await findApiKey(keys, 'shh')).toBeNull();
+		expect(await findApiKey(keys, '')).toBeNull();
+
+		const now = Date.parse('2026-06-01T00:00:00Z');
+		expect(keyStatus({ createdAt: '2026-01-01', expiresAt: '2026-07-01' }, now)).toBe('active');
+		expect(keyStatus({ expiresAt: '2026-05-01' }, now)).toBe('expired');
+		expect(keyStatus({ createdAt: '2026-07-01' }, now)).toBe('not_yet_valid');
+	});
+
+	it('parses API_KEYS and reports an invalid value once', () => {
+		const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+		try {
+			const env = { API_KEY: 'main', API_KEYS: '[{"id":"backend","secret":"shh"}' };
+			for (let i = 0; i < 3; i++) {
+				expect(getGlobalKeys(env).map(({ id }) => id)).toEqual(['API_KEY']);
+			}
+			expect(errors).toHaveBeenCalledTimes(1);
+
+			expect(getGlobalKeys({ API_KEYS: '[{"id":"backend","secret":"shh"}]' }).map(({ id }) => id)).toEqual(['backend']);
+			expect(errors).toHaveBeenCalledTimes(1);
+		} finally {
+			errors.mockRestore();
+		}
+	});
+});
+
+describe('sites', () => {
+	const SITES = [
+		{ id: 'alpha', apiKeys: ['alpha-key'], origins: ['https://alpha.test'], from: { email: 'hi@alpha.test' } },
+		{ id: 'beta', apiKeys: [{ id: 'beta-server', secret: 'shh' }], origins: ['https://*.beta.test'], from: { email: 'hi@beta.test' } },
+	];
+
+	it('matches exact origins and subdomain wildcards', () => {
+		expect(originMatches('https://alpha.test', 'https://alpha.test')).toBe(true);
+		expect(originMatches('https://alpha.test', 'http://alpha.test')).toBe(false);
+		expect(originMatches('https://*.beta.test', 'https://www.beta.test')).toBe(true);
+		expect(originMatches('https://*.beta.test', 'https://a.b.beta.test')).toBe(true);
+		expect(originMatches('https://*.beta.test', 'https://beta.test')).toBe(false);
+		expect(originMatches('https://*.beta.test', 'https://evilbeta.test')).toBe(false);
+		expect(originMatches('https://*.beta.test', 'https://beta.test.evil.example')).toBe(false);
+		expect(originMatches('https://*.beta.test', 'http://www.beta.test')).toBe(false);
+		expect(originMatches('https://*.beta.test', null)).toBe(false);
+	});
+
+	it('resolves the site by API key, then signing key id, then origin', async () => {
+		clearSiteCache();
+		const env = { SITES_CONFIG: JSON.stringify(SITES), FROM_EMAIL: 'owner@example.com' };
+		const siteFor = async (request) => (await resolveSite(env, request)).id;
+
+		expect(await siteFor({ apiKey: 'alpha-key', origin: 'https://www.beta.test' })).toBe('alpha');
+		expect(await siteFor({ keyId: 'beta-server', origin: 'https://alpha.test' })).toBe('beta');
+		expect(await siteFor({ apiKey: 'global-key', origin: 'https://shop.beta.test' })).toBe('beta');
+		expect(await siteFor({ apiKey: 'global-key', origin: 'https://alpha.test' })).toBe('alpha');
+		expect(await siteFor({ apiKey: 'global-key', origin: 'https://unknown.test' })).toBe('default');
+		expect(await siteFor({ apiKey: 'wrong-key' })).toBe('default');
+	});
+});
+
+describe('deduplication', () => {
+	it('fingerprints submissions regardless of case, spacing and field order', async () => {
+		const base = { siteId: 'default', formType: 'message', email: 'Jane@Example.com' };
+		const first = await contentFingerprint({ ...base, values: { name: 'Jane', messageBody: 'Hello  there' } });
+
+		const reordered = await contentFingerprint({
+			...base,
+			email: 'jane@example.com',
+			values: { messageBody: ' hello there', name: 'jane' },
+		});
+		expect(reordered).toBe(first);
+		expect(await contentFingerprint({ ...base, values: { name: 'Jane', messageBody: 'Hello there!' } })).not.toBe(first);
+		expect(await contentFingerprint({ ...base, formType: 'quote', values: { name: 'Jane', messageBody: 'Hello  there' } })).not.toBe(first);
+	});
+
+	it('tells submissions with the same text but different files apart', async () => {
+		const base = { siteId: 'default', formType: 'quote', email: 'jane@example.com', values: { name: 'Jane' } };
+		const attach = (name, size) => ({ field: 'files', file: new File([new Uint8Array(size)], name) });
+
+		const brief = await contentFingerprint({ ...base, files: [attach('brief.pdf', 10)] });
+		expect(await contentFingerprint({ ...base, files: [attach('brief.pdf', 10)] })).toBe(brief);
+		expect(await contentFingerprint({ ...base, files: [attach('budget.pdf', 10)] })).not.toBe(brief);
+		expect(await contentFingerprint({ ...base, files: [attach('brief.pdf', 11)] })).not.toBe(brief);
+		expect(await contentFingerprint(base)).not.toBe(brief);
+	});
+});
+
+describe('privacy', () => {
+	it('hashes identifiers with the secret', async () => {
+		const hashed = await hashIdentifier({ HASH_SECRET: 'a' }, '203.0.113.7');
+		expect(hashed).toMatch(/^[0-9a-f]{32}$/);
+		expect(hashed).not.toContain('203');
+		expect(await hashIdentifier({ HASH_SECRET: 'b' }, '203.0.113.7')).not.toBe(hashed);
+	});
+
+	it('limits by IP only when the hashes are keyed', async () => {
+		const identity = { formType: 'message', ip: '203.0.113.7', email: 'jane@example.com' };
+		const dimensions = (env) => [...env.RATE_LIMIT_KV.entries.keys()].map((name) => name.split(':')[2]).sort();
+
+		const keyed = { RATE_LIMIT_KV: createMemoryKV(), HASH_SECRET: 'a' };
+		await checkRateLimit(keyed, identity);
+		expect(dimensions(keyed)).toEqual(['email', 'ip', 'subnet']);
+
+		const unkeyed = { RATE_LIMIT_KV: createMemoryKV() };
+		await checkRateLimit(unkeyed, identity);
+		expect(dimensions(unkeyed)).toEqual(['email']);
+	});
+
+	it('requires consent per form type and records its version', () => {
+		const site = { consentFormTypes: ['quote'], consentVersion: '2026-01' };
+
+		expect(readConsent(site, 'quote', {}).error.code).toBe('consent_required');
+		expect(readConsent(site, 'message', {})).toEqual({ consent: null, error: null });
+		expect(readConsent(site, 'quote', { consent: 'on' }).consent).toMatchObject({ given: true, version: '2026-01' });
+		expect(readConsent(site, 'quote', { consent: true, consentVersion: 'v2' }).consent.version).toBe('v2');
+	});
+});
+
+describe('rate limiting', () => {
+	it('applies the default overrides to every policy before the form type ones', () => {
+		const env = {
+			RATE_LIMIT_MAX: '2',
+			RATE_LIMIT_WINDOW: '60000',
+			RATE_LIMIT_POLICIES: JSON.stringify({ default: { limits: { apiKey: 50 } }, recruiter_query: { windowSeconds: 30 } }),
+		};
+
+		expect(getPolicy(env, 'message')).toEqual({
+			algorithm: 'sliding_window',
+			windowSeconds: 60,
+			limits: { ip: 2, subnet: 20, email: 3, apiKey: 50 },
+		});
+		expect(getPolicy(env, 'recruiter_query')).toEqual({
+			algorithm: 'token_bucket',
+			windowSeconds: 30,
+			limits: { ip: 2, email: 10, apiKey: 50 },
+		});
+		expect(getPolicy(env, 'quote')).toEqual({ algorithm: 'sliding_window', windowSeconds: 60, limits: { ip: 2, apiKey: 50 } });
+		expect(getPolicy({}, 'message').limits).toEqual({ ip: 5, subnet: 20, email: 3 });
+	});
+});
+
+describe('metrics', () => {
+	afterEach(() => vi.useRealTimers());
+
+	it('aggregates KV counts and writes at most once a minute', async () => {
+		vi.useFakeTimers();
+		vi.setSystemTime(new Date('2030-01-01T12:00:00Z'));
+		const env = { SUBMISSIONS_KV: createMemoryKV() };
+		const event = (outcome) => ({ metric: 'submission', dimension: 'quote', outcome });
+		const metricKeys = () => [...env.SUBMISSIONS_KV.entries.keys()].filter((name) => name.startsWith('metrics:'));
+
+		await recordMetrics(env, [event('accepted')]);
+		await recordMetrics(env, [event('accepted')]);
+		await recordMetrics(env, [event('validation_failed')]);
+		await recordMetrics(env, [event('unauthorized')], { persist: false });
+		expect(metricKeys()).toHaveLength(1);
+
+		vi.advanceTimersByTime(61 * 1000);
+		await recordMetrics(env, [event('accepted')]);
+		expect(metricKeys()).toHaveLength(2);
+
+		const summary = await getMetricsSummary(env, 1);
+		expect(summary.submissions.quote).toMatchObject({ total: 4, accepted: 3, rejected: 1 });
+		expect(summary.rejections).toEqual({ validation_failed: 1 });
+	});
+});
+
+describe('submission store', () => {
+	it('lists the newest submissions first and fills filtered pages', async () => {
+		expect(submissionId(2000) < submissionId(1000)).toBe(true);
+
+		const env = { SUBMISSIONS_KV: createMemoryKV() };
+		const start = Date.parse('2026-01-01T00:00:00Z');
+		for (let i = 0; i < 6; i++) {
+			const createdAt = new Date(start + i * 60000).toISOString();
+			await saveSubmission(env, {
+				id: submissionId(start + i * 60000),
+				formType: i % 3 === 0 ? 'quote' : 'message',
+				status: 'new',
+				delivery: { status: 'sent' },
+				createdAt,
+			});
+		}
+
+		const first = await listSubmissions(env, { limit: 2 });
+		expect(first.submissions.map(({ createdAt }) => createdAt)).toEqual(['2026-01-01T00:05:00.000Z', '2026-01-01T00:04:00.000Z']);
+		const second = await listSubmissions(env, { limit: 2, cursor: first.cursor });
+		expect(second.submissions[0].createdAt).toBe('2026-01-01T00:03:00.000Z');
+
+		const quotes = await listSubmissions(env, { formType: 'quote', limit: 2 });
+		expect(quotes.submissions.map(({ createdAt }) => createdAt)).toEqual(['2026-01-01T00:03:00.000Z', '2026-01-01T00:00:00.000Z']);
+	});
+});
+
+const PDF = [0x25, 0x50, 0x44, 0x46, 0x2d, 0x31, 0x2e, 0x34];
+const PNG = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const upload = (bytes, name, type, size = bytes.length) =>
+	new File([new Uint8Array(bytes), new Uint8Array(size - bytes.length)], name, { type });
+
+describe('attachments', () => {
+	const rules = { maxFiles: 2, maxSize: 1 * MB, types: ['application/pdf', DOCX, 'image/png'] };
+	const codes = async (files) => (await validateAttachments(rules, files)).map(({ code }) => code);
+
+	it('checks the leading bytes against the declared type', async () => {
+		expect(await matchesMagicBytes(upload(PDF, 'cv.pdf', 'application/pdf'), 'application/pdf')).toBe(true);
+		expect(await matchesMagicBytes(upload(PNG, 'cv.pdf', 'application/pdf'), 'application/pdf')).toBe(false);
+		expect(await matchesMagicBytes(upload([0x50, 0x4b, 0x03, 0x04], 'cv.docx', DOCX), DOCX)).toBe(true);
+		expect(await matchesMagicBytes(upload([0x68, 0x69], 'notes.txt', 'text/plain'), 'text/plain')).toBe(true);
+		expect(await matchesMagicBytes(upload([0x68, 0x00], 'notes.txt', 'text/plain'), 'text/plain')).toBe(false);
+		expect(await matchesMagicBytes(upload(PDF, 'run.exe', 'application/x-msdownload'), 'application/x-msdownload')).toBe(false);
+	});
+
+	it('rejects spoofed, disallowed, oversized and too many files', async () => {
+		const pdf = { field: 'files', file: upload(PDF, 'brief.pdf', 'application/pdf') };
+		expect(await codes([pdf])).toEqual([]);
+
+		// An executable renamed and declared as a PDF
+		expect(await codes([{ field: 'files', file: upload([0x4d, 0x5a, 0x90, 0x00], 'brief.pdf', 'application/pdf') }])).toEqual([
+			'file_type_mismatch',
+		]);
+		expect(await codes([{ field: 'files', file: upload([0x47, 0x49, 0x46, 0x38, 0x39, 0x61], 'a.gif', 'image/gif') }])).toEqual([
+			'invalid_file_type',
+		]);
+		expect(await codes([{ field: 'files', file: upload(PDF, 'big.pdf', 'application/pdf', 1 * MB + 1) }])).toEqual(['file_too_large']);
+		expect(await codes([pdf, pdf, pdf])).toEqual(['too_many_files']);
+		expect((await validateAttachments(null, [pdf])).map(({ code }) => code)).toEqual(['attachments_not_allowed']);
+	});
+});
+
+describe('signed links', () => {
+	const SECRET = 'test-signing-secret';
+	const LINK = 'https://forms.example.com/attachments/abc/1-brief.pdf';
+
+	it('accepts an unexpired link for the signed path only', async () => {
+		const signed = new URL(await signUrl(SECRET, LINK, 60));
+		expect(await verifySignedUrl(SECRET, signed)).toBe(true);
+		expect(await verifySignedUrl('other-secret', signed)).toBe(false);
+		expect(await verifySignedUrl(undefined, signed)).toBe(false);
+
+		const otherFile = new URL(signed);
+		otherFile.pathname = '/attachments/abc/2-other.pdf';
+		expect(await verifySignedUrl(SECRET, otherFile)).toBe(false);
+
+		const extended = new URL(signed);
+		extended.searchParams.set('expires', String(Number(signed.searchParams.get('expires')) + 3600));
+		expect(await verifySignedUrl(SECRET, extended)).toBe(false);
+
+		const unsigned = new URL(signed);
+		unsigned.searchParams.delete('signature');
+		expect(await verifySignedUrl(SECRET, unsigned)).toBe(false);
+	});
+
+	it('rejects expired links', async () => {
+		expect(await verifySignedUrl(SECRET, await signUrl(SECRET, LINK, -1))).toBe(false);
+	});
+});
+
+describe('webhook signatures', () => {
+	afterEach(() => {
+		fetchMock.assertNoPendingInterceptors();
+		fetchMock.deactivate();
+	});
+
+	it('signs the timestamp and body with the channel secret', async () => {
+		fetchMock.activate();
+		fetchMock.disableNetConnect();
+		let delivered;
+		fetchMock
+			.get('https://hooks.test')
+			.intercept({ path: '/forms', method: 'POST' })
+			.reply((request) => {
+				delivered = { headers: request.headers, body: request.body };
+				return { statusCode: 200, data: '' };
+			});
+
+		installFakeEmailProvider();
+		const env = createTestEnv({
+			NOTIFICATION_CHANNELS: JSON.stringify([{ type: 'webhook', url: 'https://hooks.test/forms', secret: 'hook-secret' }]),
+		});
+		const response = await submitForm(env, 'message', formFixtures.message.body);
+		const { id } = await response.json();
+
+		const timestamp = delivered.headers['x-webhook-timestamp'];
+		expect(Math.abs(Number(timestamp) - Date.now() / 1000)).toBeLessThan(60);
+		expect(delivered.headers['x-webhook-id']).toBe(id);
+		expect(delivered.headers['x-webhook-signature']).toBe(`sha256=${await signHex('hook-secret', `${timestamp}.${delivered.body}`)}`);
+		expect(delivered.headers['x-webhook-signature']).not.toBe(
+			`sha256=${await signHex('hook-secret', `${Number(timestamp) + 1}.${delivered.body}`)}`
+		);
+		expect(JSON.parse(delivered.body).submission.id).toBe(id);
+	});
+});
+
+describe('notification channels', () => {
+	const CHANNELS = [
+		{ type: 'slack', url: 'https://slack.test/hook' },
+		{ type: 'discord', url: 'https://discord.test/hook' },
+		{ type: 'telegram', botToken: '123:abc', chatId: '-100123' },
+	];
+
+	// Answers each channel with `statuses[type]` and keeps the parsed bodies
+	const interceptChannels = (statuses = {}) => {
+		const bodies = {};
+		const reply = (type) => (request) => {
+			bodies[type] = JSON.parse(request.body);
+			return { statusCode: statuses[type] ?? 200, data: '{}' };
+		};
+		fetchMock.get('https://slack.test').intercept({ path: '/hook', method: 'POST' }).reply(reply('slack'));
+		fetchMock.get('https://discord.test').intercept({ path: '/hook', method: 'POST' }).reply(reply('discord'));
+		fetchMock.get('https://api.telegram.org').intercept({ path: '/bot123:abc/sendMessage', method: 'POST' }).reply(reply('telegram'));
+		return bodies;
+	};
+
+	afterEach(() => {
+		fetchMock.assertNoPendingInterceptors();
+		fetchMock.deactivate();
+	});
+
+	it('formats the submission for Slack, Discord and Telegram', async () => {
+		fetchMock.activate();
+		fetchMock.disableNetConnect();
+		const bodies = interceptChannels();
+
+		installFakeEmailProvider();
+		const env = createTestEnv({ NOTIFICATION_CHANNELS: JSON.stringify(CHANNELS) });
+		// Escaping makes these far longer than Telegram's 4096 characters
+		const body = { ...formFixtures.message.body, subject: '<&>'.repeat(333), messageBody: 'Tom & Jerry <3 '.repeat(66) };
+		const { id } = await (await submitForm(env, 'message', body)).json();
+
+		expect(bodies.slack.text).toBe(`New Message - ${body.subject}`);
+		expect(bodies.slack.blocks[0]).toEqual({ type: 'header', text: { type: 'plain_text', text: 'New Message' } });
+		expect(bodies.slack.blocks[1].fields[0].text).toBe('*Name*\nSam Lee');
+		expect(bodies.slack.blocks[1].fields[3].text).toMatch(/^\*Subject\*\n&lt;&amp;&gt;/);
+		expect(bodies.slack.blocks.at(-1).elements[0].text).toContain(id);
+
+		const [embed] = bodies.discord.embeds;
+		expect(embed).toMatchObject({ title: 'New Message', footer: { text: `Submission ${id}` } });
+		expect(embed.fields.map(({ name }) => name)).toEqual(['Name', 'Email address', 'Phone number', 'Subject', 'Message']);
+		expect(embed.fields[0]).toEqual({ name: 'Name', value: 'Sam Lee', inline: true });
+		expect(bodies.discord.allowed_mentions).toEqual({ parse: [] });
+
+		const { chat_id: chatId, parse_mode: parseMode, text } = bodies.telegram;
+		expect([chatId, parseMode]).toEqual(['-100123', 'HTML']);
+		expect(text.length).toBeLessThanOrEqual(4096);
+		expect(text.startsWith('<b>New Message</b>\n<b>Name:</b> Sam Lee\n')).toBe(true);
+		expect(text.endsWith(`\n<i>Submission ${id}</i>`)).toBe(true);
+		// Cut between entities and tags, never inside one
+		expect(text.replace(/&(?:amp|lt|gt|quot|#39);/g, '')).not.toContain('&');
+		expect(text.match(/<b>/g).length).toBe(text.match(/<\/b>/g).length);
+	});
+
+	it('records each channel on its own and never holds up the emails', async () => {
+		fetchMock.activate();
+		fetchMock.disableNetConnect();
+		interceptChannels({ slack: 500, telegram: 400 });
+
+		const sent = installFakeEmailProvider();
+		const env = createTestEnv({ NOTIFICATION_CHANNELS: JSON.stringify(CHANNELS) });
+		const { id } = await (await submitForm(env, 'message', formFixtures.message.body)).json();
+
+		expect(sent).toHaveLength(2);
+		const channels = JSON.parse(await env.SUBMISSIONS_KV.get(`channels:${id}`));
+		expect(channels).toMatchObject({
+			slack: { status: 'failed', httpStatus: 500 },
+			discord: { status: 'sent', httpStatus: 200 },
+			telegram: { status: 'failed', httpStatus: 400 },
+		});
+		expect(JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`)).delivery.status).toBe('sent');
 	});
 });
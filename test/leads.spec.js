@@ -0,0 +1,133 @@
+import { fetchMock } from 'cloudflare:test';
+import { afterEach, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { buildLead, companyDomain, parseBudget, parseTimeline } from '../src/leads';
+import { formFixtures } from './fixtures';
+import { ADMIN_API_KEY, createTestEnv, installFakeEmailProvider, runWorker, submitForm } from './helpers';
+
+describe('lead enrichment', () => {
+	it('normalises budgets into a currency and range', () => {
+		expect(parseBudget('$5,000 - $10,000')).toEqual({ currency: 'USD', min: 5000, max: 10000 });
+		expect(parseBudget('KES 200,000')).toEqual({ currency: 'KES', min: 200000, max: 200000 });
+		expect(parseBudget('Ksh 1.5m')).toEqual({ currency: 'KES', min: 1500000, max: 1500000 });
+		expect(parseBudget('under €3k')).toEqual({ currency: 'EUR', min: null, max: 3000 });
+		expect(parseBudget('10000+', 'GBP')).toEqual({ currency: 'GBP', min: 10000, max: null });
+		expect(parseBudget('To be discussed')).toBeNull();
+	});
+
+	it('reads amounts in words and skips years', () => {
+		expect(parseBudget('5 million')).toEqual({ currency: 'USD', min: 5000000, max: 5000000 });
+		expect(parseBudget('KES 2.5 Million')).toEqual({ currency: 'KES', min: 2500000, max: 2500000 });
+		expect(parseBudget('50 thousand euros, €')).toEqual({ currency: 'EUR', min: 50000, max: 50000 });
+		expect(parseBudget('launch in 2025, budget 3k')).toEqual({ currency: 'USD', min: 3000, max: 3000 });
+		expect(parseBudget('$10k-20k, live by March 2026')).toEqual({ currency: 'USD', min: 10000, max: 20000 });
+		expect(parseBudget('2000 - 3000')).toEqual({ currency: 'USD', min: 2000, max: 3000 });
+		expect(parseBudget('Q3 2025')).toBeNull();
+	});
+
+	it('parses timelines into weeks', () => {
+		expect(parseTimeline('2-3 months')).toEqual({ minWeeks: 9, maxWeeks: 13 });
+		expect(parseTimeline('within 6 weeks')).toEqual({ minWeeks: 0, maxWeeks: 6 });
+		expect(parseTimeline('3 weeks to 2 months')).toEqual({ minWeeks: 3, maxWeeks: 9 });
+		expect(parseTimeline('a couple of weeks')).toEqual({ minWeeks: 2, maxWeeks: 2 });
+		expect(parseTimeline('ASAP')).toEqual({ minWeeks: 0, maxWeeks: 1 });
+		expect(parseTimeline('flexible')).toBeNull();
+	});
+
+	it('derives the company domain and scores the lead', () => {
+		expect(companyDomain('Jane@Acme.co.ke')).toBe('acme.co.ke');
+		expect(companyDomain('jane@gmail.com')).toBeNull();
+
+		const mapping = { name: 'name', email: 'email', budget: 'budget', timeline: 'timeline', description: 'project' };
+		const strong = buildLead({}, mapping, { name: 'Jane', email: 'jane@acme.co.ke', budget: '$20k', timeline: '6 weeks' });
+		const weak = buildLead({}, mapping, { name: 'Jane', email: 'jane@gmail.com', budget: 'TBD' });
+		expect(strong).toMatchObject({ companyDomain: 'acme.co.ke', budget: { currency: 'USD', max: 20000 }, timeline: { maxWeeks: 6 } });
+		expect(strong.score).toBeGreaterThan(weak.score);
+		expect(weak.score).toBe(0);
+	});
+});
+
+describe('lead connectors and export', () => {
+	let env;
+	let sent;
+
+	beforeAll(() => {
+		fetchMock.activate();
+		fetchMock.disableNetConnect();
+	});
+
+	beforeEach(() => {
+		sent = installFakeEmailProvider();
+		env = createTestEnv({
+			NOTIFICATION_CHANNELS: JSON.stringify([
+				{ type: 'hubspot', url: 'https://crm.test', token: 'hub-token', properties: { lead_score: 'score' } },
+				{ type: 'sheets', url: 'https://sheets.test/append', token: 'sheet-token' },
+			]),
+		});
+	});
+
+	afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+	it('sends quote leads to HubSpot and Sheets', async () => {
+		const requests = {};
+		const capture = (name, status) => (request) => {
+			requests[name] = { body: JSON.parse(request.body), authorization: request.headers.authorization };
+			return { statusCode: status, data: '{}' };
+		};
+		fetchMock.get('https://crm.test').intercept({ path: '/crm/v3/objects/contacts', method: 'POST' }).reply(capture('hubspot', 201));
+		fetchMock.get('https://sheets.test').intercept({ path: '/append', method: 'POST' }).reply(capture('sheets', 200));
+
+		const response = await submitForm(env, 'quote', { ...formFixtures.quote.body, email: 'jane@acme.co.ke' });
+		expect(response.status).toBe(202);
+		const { id } = await response.json();
+
+		expect(requests.hubspot.authorization).toBe('Bearer hub-token');
+		expect(requests.hubspot.body.properties).toMatchObject({
+			email: 'jane@acme.co.ke',
+			firstname: 'Jane',
+			lastname: 'Doe',
+			website: 'https://acme.co.ke',
+			lead_score: expect.any(Number),
+		});
+		const [row] = requests.sheets.body.values;
+		expect(row.slice(0, 3)).toEqual([id, expect.any(String), 'quote']);
+		expect(row).toContain('USD');
+		expect(row).toContain(5000);
+		// Stored as typed with valueInputOption=RAW, so no formula escaping
+		expect(row).toContain(formFixtures.quote.body.phone);
+
+		const channels = JSON.parse(await env.SUBMISSIONS_KV.get(`channels:${id}`));
+		expect(channels.hubspot.status).toBe('sent');
+		expect(channels.sheets.status).toBe('sent');
+	});
+
+	it('skips the connectors for form types that are not leads', async () => {
+		const response = await submitForm(env, 'message', formFixtures.message.body);
+		const { id } = await response.json();
+
+		expect(sent).toHaveLength(2);
+		expect(await env.SUBMISSIONS_KV.get(`channels:${id}`)).toBeNull();
+	});
+
+	it('exports stored leads as CSV', async () => {
+		env = createTestEnv();
+		await submitForm(env, 'quote', formFixtures.quote.body);
+		await submitForm(env, 'recruiter_query', formFixtures.recruiter_query.body);
+		await submitForm(env, 'message', formFixtures.message.body);
+
+		const response = await runWorker(
+			new Request('https://forms.example.com/leads/export', { headers: { Authorization: `Bearer ${ADMIN_API_KEY}` } }),
+			env
+		);
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Content-Type')).toContain('text/csv');
+
+		const [header, ...rows] = (await response.text()).trim().split('\r\n');
+		expect(header).toMatch(/^submissionId,createdAt,formType,score,/);
+		expect(rows).toHaveLength(2);
+		expect(rows.find((row) => row.includes(',quote,'))).toContain(`'+254 700 000000`);
+		expect(rows.find((row) => row.includes(',recruiter_query,'))).toContain('talent.example.com');
+
+		const unauthorized = await runWorker(new Request('https://forms.example.com/leads/export'), env);
+		expect(unauthorized.status).toBe(401);
+	});
+});
@@ -0,0 +1,752 @@
+import { env as bindings } from 'cloudflare:test';
+import { beforeEach, describe, expect, it } from 'vitest';
+import { backoffSeconds } from '../src/deliveryQueue';
+import { purgeExpiredData } from '../src/privacy';
+import { signHex, signUrl } from '../src/signing';
+import { buildSubmission, saveSubmission, submissionId } from '../src/submissionStore';
+import { createConfirmationToken, readConfirmationToken } from '../src/verification';
+import { formFixtures } from './fixtures';
+import {
+	ADMIN_API_KEY,
+	API_KEY,
+	ORIGIN,
+	createMemoryQueue,
+	createTestEnv,
+	installFakeEmailProvider,
+	runQueueBatch,
+	runWorker,
+	submitForm,
+} from './helpers';
+
+let env;
+let sent;
+
+beforeEach(() => {
+	sent = installFakeEmailProvider();
+	env = createTestEnv();
+});
+
+describe('form submissions', () => {
+	it.each(Object.keys(formFixtures))('accepts a %s submission and emails the owner and the submitter', async (formType) => {
+		const { body, replyTo } = formFixtures[formType];
+		const response = await submitForm(env, formType, body);
+
+		expect(response.status).toBe(202);
+		const { success, id } = await response.json();
+		expect(success).toBe(true);
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe(ORIGIN);
+		expect(response.headers.get('X-Request-Id')).toBeTruthy();
+
+		const [notification, autoReply] = sent;
+		expect(sent).toHaveLength(2);
+		expect(notification.to).toEqual([{ email: 'owner@example.com' }]);
+		expect(notification.replyTo).toEqual({ email: replyTo });
+		expect(notification.html).toContain(replyTo);
+		expect(notification.text).toBeTruthy();
+		expect(autoReply.to[0].email).toBe(replyTo);
+
+		const stored = JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`));
+		expect(stored).toMatchObject({ formType, status: 'new', delivery: { status: 'sent' } });
+	});
+
+	it('flags tagged spam in the notification subject only', async () => {
+		const response = await submitForm(env, 'message', { ...formFixtures.message.body, messageBody: 'Cheap backlinks for your site today' });
+		expect(response.status).toBe(202);
+
+		const [notification, autoReply] = sent;
+		expect(notification.subject).toContain('[Possible spam]');
+		expect(autoReply.subject).not.toContain('spam');
+	});
+
+	it('localizes the whole auto-reply subject', async () => {
+		await submitForm(env, 'message', { ...formFixtures.message.body, language: 'fr' });
+
+		expect(sent[1].subject).toBe('✅ Merci de votre message, Sam Lee !');
+	});
+
+	it('dead-letters the emails when EMAIL_PROVIDER names no provider', async () => {
+		env = createTestEnv({ EMAIL_PROVIDER: 'mailtrapp' });
+		const response = await submitForm(env, 'message', formFixtures.message.body);
+		expect(response.status).toBe(202);
+		const { id } = await response.json();
+
+		const stored = JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`));
+		expect(stored.delivery.status).toBe('failed');
+		const { keys } = await env.SUBMISSIONS_KV.list({ prefix: 'dead_letter:' });
+		expect(keys).toHaveLength(1);
+		expect(keys[0].metadata).toMatchObject({ submissionId: id });
+	});
+
+	it('skips an unknown EMAIL_PROVIDER for a working fallback', async () => {
+		env = createTestEnv({ EMAIL_PROVIDER: 'sendgird', EMAIL_FALLBACK_PROVIDERS: 'fake' });
+		const { id } = await (await submitForm(env, 'message', formFixtures.message.body)).json();
+
+		expect(sent).toHaveLength(2);
+		const stored = JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`));
+		expect(stored.delivery).toMatchObject({ status: 'sent', emails: { notification: { provider: 'fake' } } });
+		expect((await env.SUBMISSIONS_KV.list({ prefix: 'dead_letter:' })).keys).toEqual([]);
+	});
+
+	it('answers 401 without a valid API key', async () => {
+		const { body } = formFixtures.message;
+
+		for (const headers of [{ 'X-API-Key': '' }, { 'X-API-Key': 'wrong-key' }]) {
+			const response = await submitForm(env, 'message', body, { headers });
+			expect(response.status).toBe(401);
+			expect(await response.json()).toMatchObject({ error: 'Unauthorized', code: 'unauthorized' });
+		}
+		expect(sent).toHaveLength(0);
+		// Unauthenticated traffic never costs a KV write
+		expect([...env.SUBMISSIONS_KV.entries.keys()]).toEqual([]);
+	});
+
+	it('answers 400 for a JSON body that is not an object', async () => {
+		for (const body of ['null', '[]', '"hello"', '42', '{"name":']) {
+			const response = await runWorker(
+				new Request('https://forms.example.com/v1/forms/message', {
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY, Origin: ORIGIN },
+					body,
+				}),
+				env
+			);
+			expect(response.status).toBe(400);
+			expect(await response.json()).toMatchObject({ error: 'Invalid JSON payload', code: 'invalid_payload' });
+		}
+		expect(sent).toHaveLength(0);
+	});
+
+	it('answers 405 with an Allow header for an unsupported method', async () => {
+		const response = await runWorker(new Request('https://forms.example.com/v1/forms/message', { method: 'PUT' }), env);
+
+		expect(response.status).toBe(405);
+		expect(response.headers.get('Allow')).toContain('POST');
+		expect(await response.json()).toMatchObject({ code: 'method_not_allowed' });
+	});
+
+	it('answers 422 with the failing fields', async () => {
+		const response = await submitForm(env, 'message', { ...formFixtures.message.body, email: 'not-an-email', messageBody: 'short' });
+
+		expect(response.status).toBe(422);
+		const body = await response.json();
+		expect(body.code).toBe('validation_failed');
+		expect(body.details.map(({ field, code }) => [field, code])).toEqual([
+			['email', 'invalid_email'],
+			['messageBody', 'too_short'],
+		]);
+		expect(sent).toHaveLength(0);
+	});
+
+	it('replays accepted submissions for a reused Idempotency-Key, but not rejected ones', async () => {
+		const headers = { 'Idempotency-Key': 'form-fill-1' };
+		const rejected = await submitForm(env, 'message', { ...formFixtures.message.body, email: 'not-an-email' }, { headers });
+		expect(rejected.status).toBe(422);
+
+		const accepted = await submitForm(env, 'message', formFixtures.message.body, { headers });
+		expect(accepted.status).toBe(202);
+		expect(accepted.headers.get('Idempotent-Replayed')).toBeNull();
+
+		const replayed = await submitForm(env, 'message', formFixtures.message.body, { headers });
+		expect(replayed.status).toBe(202);
+		expect(replayed.headers.get('Idempotent-Replayed')).toBe('true');
+		expect(await replayed.json()).toEqual(await accepted.json());
+		expect(sent).toHaveLength(2);
+	});
+
+	it('answers 429 once the per-email limit is used up', async () => {
+		// `message` allows three submissions per email address per 15 minutes
+		const submit = (n) => submitForm(env, 'message', { ...formFixtures.message.body, subject: `Question ${n}` }, { ip: `203.0.113.${n}` });
+		for (const n of [1, 2, 3]) {
+			expect((await submit(n)).status).toBe(202);
+		}
+
+		const response = await submit(4);
+		expect(response.status).toBe(429);
+		expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+		expect(response.headers.get('X-RateLimit-Remaining')).toBe('0');
+		expect(await response.json()).toMatchObject({ code: 'rate_limited' });
+		expect(sent).toHaveLength(6);
+	});
+
+	it('applies RATE_LIMIT_MAX to form types with a built-in policy', async () => {
+		env = createTestEnv({ RATE_LIMIT_MAX: '1' });
+		const submit = (email) => submitForm(env, 'message', { ...formFixtures.message.body, email });
+
+		expect((await submit('sam@example.com')).status).toBe(202);
+		expect((await submit('kim@example.com')).status).toBe(429);
+	});
+
+	it('answers preflights for the site origin only', async () => {
+		const preflight = (origin) =>
+			runWorker(new Request('https://forms.example.com/v1/forms/message', { method: 'OPTIONS', headers: { Origin: origin } }), env);
+
+		const allowed = await preflight(ORIGIN);
+		expect(allowed.status).toBe(204);
+		expect(allowed.headers.get('Access-Control-Allow-Origin')).toBe(ORIGIN);
+		expect(allowed.headers.get('Access-Control-Allow-Headers')).toContain('X-API-Key');
+
+		const other = await preflight('https://evil.example');
+		expect(other.headers.get('Access-Control-Allow-Origin')).toBe('null');
+	});
+});
+
+describe('form discovery and the legacy endpoint', () => {
+	const FORM_TYPES = Object.keys(formFixtures);
+	const get = (path) => runWorker(new Request(`https://forms.example.com${path}`, { headers: { Origin: ORIGIN } }), env);
+	const postLegacy = (body) =>
+		runWorker(
+			new Request('https://forms.example.com/', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY, Origin: ORIGIN },
+				body: JSON.stringify(body),
+			}),
+			env
+		);
+
+	it("lists the public schema of every form type, with the site's confirmation and consent", async () => {
+		env = createTestEnv({ VERIFY_FORM_TYPES: 'message', CONSENT_FORM_TYPES: 'quote', CONSENT_VERSION: '2026-01' });
+		const response = await get('/v1/forms');
+
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Cache-Control')).toBe('public, max-age=300');
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe(ORIGIN);
+
+		const { forms } = await response.json();
+		expect(forms.map(({ formType }) => formType)).toEqual(FORM_TYPES);
+		const byType = Object.fromEntries(forms.map((form) => [form.formType, form]));
+		expect(byType.quote).toMatchObject({ requiresConfirmation: false, consent: { required: true, version: '2026-01' } });
+		expect(byType.quote.attachments).toMatchObject({ maxFiles: 3 });
+		expect(byType.message).toMatchObject({ requiresConfirmation: true, consent: null, attachments: null });
+		expect(byType.message.fields).toContainEqual(
+			expect.objectContaining({ name: 'email', type: 'email', label: 'Email address', required: true })
+		);
+		expect(byType.interview_proposal.scheduling).toMatchObject({ slots: expect.any(Array), timezone: expect.any(String) });
+		// Subjects, notification layout and reply-to mapping stay server-side
+		for (const form of forms) {
+			expect(form).not.toHaveProperty('subject');
+			expect(form).not.toHaveProperty('notification');
+			expect(form).not.toHaveProperty('replyTo');
+		}
+
+		const one = await get('/v1/forms/message');
+		expect(one.status).toBe(200);
+		expect(await one.json()).toEqual(byType.message);
+	});
+
+	it("only lists the site's own form types", async () => {
+		env = createTestEnv({
+			SITES_CONFIG: JSON.stringify([
+				{ id: 'blog', apiKeys: ['blog-key'], origins: [ORIGIN], formTypes: ['message'], from: { email: 'hi@example.com' } },
+			]),
+		});
+
+		const { forms } = await (await get('/v1/forms')).json();
+		expect(forms.map(({ formType }) => formType)).toEqual(['message']);
+
+		for (const path of ['/v1/forms/quote', '/v1/forms/nope']) {
+			const response = await get(path);
+			expect(response.status).toBe(404);
+			expect(await response.json()).toMatchObject({ code: 'invalid_form_type' });
+		}
+	});
+
+	it('accepts a submission on POST / with the form type in the body', async () => {
+		const response = await postLegacy({ formType: 'message', ...formFixtures.message.body });
+
+		expect(response.status).toBe(202);
+		const { id } = await response.json();
+		expect(JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`))).toMatchObject({ formType: 'message', status: 'new' });
+		expect(sent).toHaveLength(2);
+	});
+
+	it('answers 400 on POST / without a known form type', async () => {
+		const missing = await postLegacy(formFixtures.message.body);
+		expect(missing.status).toBe(400);
+		expect(await missing.json()).toMatchObject({ code: 'missing_form_type', field: 'formType' });
+
+		const unknown = await postLegacy({ formType: 'nope', ...formFixtures.message.body });
+		expect(unknown.status).toBe(400);
+		expect(await unknown.json()).toMatchObject({ code: 'invalid_form_type', validTypes: FORM_TYPES });
+
+		// An unknown form type in the path is a missing resource instead
+		expect((await submitForm(env, 'nope', formFixtures.message.body)).status).toBe(404);
+		expect(sent).toHaveLength(0);
+	});
+});
+
+describe('multiple sites', () => {
+	const SITES = [
+		{
+			id: 'alpha',
+			apiKeys: ['alpha-key'],
+			origins: ['https://alpha.test'],
+			notificationRecipients: ['inbox@alpha.test'],
+			from: { email: 'hi@alpha.test' },
+		},
+		{
+			id: 'beta',
+			apiKeys: ['beta-key'],
+			origins: ['https://*.beta.test'],
+			notificationRecipients: ['inbox@beta.test'],
+			from: { email: 'hi@beta.test' },
+		},
+	];
+
+	// The origin goes into the message so that repeats are not deduplicated
+	const submit = (apiKey, origin) =>
+		submitForm(
+			env,
+			'message',
+			{ ...formFixtures.message.body, messageBody: `${formFixtures.message.body.messageBody} (${origin})` },
+			{ headers: { 'X-API-Key': apiKey, Origin: origin } }
+		);
+
+	beforeEach(() => {
+		env = createTestEnv({
+			SITES_CONFIG: JSON.stringify(SITES),
+			RATE_LIMIT_POLICIES: JSON.stringify({ message: { limits: { ip: 10, email: 10 } } }),
+		});
+	});
+
+	it("sends each submission to its own site's inbox", async () => {
+		const cases = [
+			// A site's key wins over the origin
+			['alpha-key', 'https://www.beta.test', 'alpha', 'inbox@alpha.test', 'null'],
+			['beta-key', 'https://www.beta.test', 'beta', 'inbox@beta.test', 'https://www.beta.test'],
+			// A global key falls back to the origin, then to the default site
+			[API_KEY, 'https://alpha.test', 'alpha', 'inbox@alpha.test', 'https://alpha.test'],
+			[API_KEY, 'https://shop.beta.test', 'beta', 'inbox@beta.test', 'https://shop.beta.test'],
+			[API_KEY, ORIGIN, 'default', 'owner@example.com', ORIGIN],
+		];
+		for (const [apiKey, origin, siteId, inbox, allowOrigin] of cases) {
+			sent.length = 0;
+			const response = await submit(apiKey, origin);
+			expect(response.status).toBe(202);
+			expect(response.headers.get('Access-Control-Allow-Origin')).toBe(allowOrigin);
+
+			const { id } = await response.json();
+			expect(JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`)).siteId).toBe(siteId);
+			expect(sent[0].to).toEqual([{ email: inbox }]);
+		}
+	});
+
+	it('does not match the bare domain of a wildcard origin', async () => {
+		const response = await submit(API_KEY, 'https://beta.test');
+		const { id } = await response.json();
+
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('null');
+		expect(JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`)).siteId).toBe('default');
+		expect(sent.map(({ to }) => to[0].email)).not.toContain('inbox@beta.test');
+	});
+});
+
+describe('delivery queue', () => {
+	let queue;
+
+	beforeEach(() => {
+		queue = createMemoryQueue();
+		env = createTestEnv({ DELIVERY_QUEUE: queue, DELIVERY_MAX_ATTEMPTS: '3' });
+	});
+
+	const storedDelivery = async (id) => JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`)).delivery;
+	const nextJob = () => queue.messages.shift();
+
+	it('backs off on retryable failures, dead-letters after the last attempt and replays', async () => {
+		sent = installFakeEmailProvider({ status: 503 });
+		const response = await submitForm(env, 'message', formFixtures.message.body);
+		expect(response.status).toBe(202);
+		const { id } = await response.json();
+
+		const first = nextJob();
+		expect(first.options).toBeUndefined();
+		expect(first.body).toMatchObject({ submissionId: id, attempt: 1, tracked: true });
+
+		// Attempts 1 and 2 fail and come back after 30 and 60 seconds
+		let job = first.body;
+		for (const [attempt, delaySeconds] of [
+			[1, 30],
+			[2, 60],
+		]) {
+			expect(await runQueueBatch(env, [job])).toEqual(['ack']);
+			const retry = nextJob();
+			expect(retry.options).toEqual({ delaySeconds });
+			expect(retry.body).toMatchObject({ id: first.body.id, attempt: attempt + 1 });
+			expect(await storedDelivery(id)).toMatchObject({ status: 'retrying', attempts: attempt, nextAttemptInSeconds: delaySeconds });
+			job = retry.body;
+		}
+
+		// The third attempt is the last: the job is parked instead of re-enqueued
+		expect(await runQueueBatch(env, [job])).toEqual(['ack']);
+		expect(queue.messages).toEqual([]);
+		expect(await storedDelivery(id)).toMatchObject({ status: 'failed', emails: { notification: { status: 'failed' } } });
+		expect(sent).toEqual([]);
+
+		const admin = { Authorization: `Bearer ${ADMIN_API_KEY}` };
+		const listed = await runWorker(new Request('https://forms.example.com/dead-letters', { headers: admin }), env);
+		expect((await listed.json()).deadLetters).toEqual([expect.objectContaining({ id: first.body.id, submissionId: id, attempts: 3 })]);
+
+		// Once the provider recovers, a replay starts over with a fresh attempt budget
+		sent = installFakeEmailProvider();
+		const replayUrl = `https://forms.example.com/dead-letters/${first.body.id}/replay`;
+		expect((await runWorker(new Request(replayUrl, { method: 'POST' }), env)).status).toBe(401);
+		const replayed = await runWorker(new Request(replayUrl, { method: 'POST', headers: admin }), env);
+		expect(replayed.status).toBe(202);
+		expect(await replayed.json()).toMatchObject({ id: first.body.id, submissionId: id });
+		expect(await storedDelivery(id)).toMatchObject({ status: 'pending' });
+		expect(await env.SUBMISSIONS_KV.get(`dead_letter:${first.body.id}`)).toBeNull();
+
+		const replay = nextJob();
+		expect(replay.body).toMatchObject({ id: first.body.id, attempt: 1 });
+		expect(await runQueueBatch(env, [replay.body])).toEqual(['ack']);
+		expect(queue.messages).toEqual([]);
+		expect(sent.map(({ to }) => to[0].email)).toEqual(['owner@example.com', formFixtures.message.replyTo]);
+		expect(await storedDelivery(id)).toMatchObject({
+			status: 'sent',
+			attempts: 1,
+			emails: { notification: { status: 'sent' }, autoReply: { status: 'sent' } },
+		});
+
+		const missing = await runWorker(new Request(replayUrl, { method: 'POST', headers: admin }), env);
+		expect(missing.status).toBe(404);
+	});
+
+	it('dead-letters permanent failures without retrying', async () => {
+		installFakeEmailProvider({ status: 400 });
+		const { id } = await (await submitForm(env, 'message', formFixtures.message.body)).json();
+
+		expect(await runQueueBatch(env, [nextJob().body])).toEqual(['ack']);
+		expect(queue.messages).toEqual([]);
+		expect(await storedDelivery(id)).toMatchObject({ status: 'failed', attempts: 1 });
+		expect((await env.SUBMISSIONS_KV.list({ prefix: 'dead_letter:' })).keys).toHaveLength(1);
+	});
+
+	it('hands a job that crashes back to the queue with backoff', async () => {
+		const outcomes = await runQueueBatch(env, [{ id: 'broken', submissionId: 'missing', emails: null }], { attempts: 4 });
+
+		expect(outcomes).toEqual([{ retry: { delaySeconds: backoffSeconds(4) } }]);
+		expect(backoffSeconds(1)).toBe(30);
+		expect(backoffSeconds(4)).toBe(240);
+		expect(backoffSeconds(12)).toBe(60 * 60);
+	});
+});
+
+describe('signed requests', () => {
+	const SIGNING_KEY = { id: 'backend', secret: 'backend-secret' };
+	const PATH = '/v1/forms/message';
+
+	const signedRequest = async ({
+		timestamp = Math.floor(Date.now() / 1000),
+		secret = SIGNING_KEY.secret,
+		body,
+		signedBody = body,
+	} = {}) => {
+		const signature = await signHex(secret, `${timestamp}\nPOST\n${PATH}\n${signedBody}`);
+		return new Request(`https://forms.example.com${PATH}`, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-Key-Id': SIGNING_KEY.id,
+				'X-Signature-Timestamp': String(timestamp),
+				'X-Signature': `sha256=${signature}`,
+			},
+			body,
+		});
+	};
+	const body = JSON.stringify(formFixtures.message.body);
+
+	beforeEach(() => {
+		env = createTestEnv({ API_KEYS: JSON.stringify([SIGNING_KEY]) });
+	});
+
+	it('accepts a valid signature once', async () => {
+		const request = await signedRequest({ body });
+		const replay = request.clone();
+
+		const response = await runWorker(request, env);
+		expect(response.status).toBe(202);
+		expect(sent).toHaveLength(2);
+
+		const replayed = await runWorker(replay, env);
+		expect(replayed.status).toBe(401);
+		expect(await replayed.json()).toMatchObject({ code: 'replayed_request' });
+		expect(sent).toHaveLength(2);
+	});
+
+	it('rejects wrong secrets, edited bodies and stale timestamps', async () => {
+		const rejected = async (options, code) => {
+			const response = await runWorker(await signedRequest({ body, ...options }), env);
+			expect(response.status).toBe(401);
+			expect(await response.json()).toMatchObject({ code });
+		};
+
+		await rejected({ secret: 'other-secret' }, 'invalid_signature');
+		await rejected({ signedBody: JSON.stringify({ ...formFixtures.message.body, subject: 'Other' }) }, 'invalid_signature');
+		await rejected({ timestamp: Math.floor(Date.now() / 1000) - 600 }, 'stale_signature');
+		await rejected({ timestamp: Math.floor(Date.now() / 1000) + 600 }, 'stale_signature');
+		expect(sent).toHaveLength(0);
+	});
+});
+
+describe('email confirmation', () => {
+	const SECRET = 'test-signing-secret';
+	const confirmPath = (token) => `https://forms.example.com/confirm/${token}`;
+
+	beforeEach(() => {
+		env = createTestEnv({ VERIFY_FORM_TYPES: 'message', CONFIRMATION_TTL: '3600' });
+	});
+
+	it('accepts only unexpired tokens signed for the submission', async () => {
+		const token = await createConfirmationToken(SECRET, 'sub-1', 60);
+		const [id, expires, signature] = token.split('.');
+
+		expect(await readConfirmationToken(SECRET, token)).toBe('sub-1');
+		expect(await readConfirmationToken('other-secret', token)).toBeNull();
+		expect(await readConfirmationToken(SECRET, `sub-2.${expires}.${signature}`)).toBeNull();
+		expect(await readConfirmationToken(SECRET, `${id}.${Number(expires) + 3600}.${signature}`)).toBeNull();
+		expect(await readConfirmationToken(SECRET, await createConfirmationToken(SECRET, 'sub-1', -1))).toBeNull();
+		expect(await readConfirmationToken(SECRET, 'not-a-token')).toBeNull();
+	});
+
+	it('stores the submission as unconfirmed and sends only the confirmation email', async () => {
+		const response = await submitForm(env, 'message', formFixtures.message.body);
+
+		expect(response.status).toBe(202);
+		const { id, confirmationRequired } = await response.json();
+		expect(confirmationRequired).toBe(true);
+		expect(sent).toHaveLength(1);
+		expect(sent[0].to[0].email).toBe(formFixtures.message.replyTo);
+		expect(sent[0].html).toContain('/confirm/');
+
+		const stored = JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`));
+		expect(stored.status).toBe('unconfirmed');
+		// The confirmation email is not the notification
+		expect(stored.delivery).toMatchObject({ status: 'awaiting_confirmation', emails: { confirmation: { status: 'sent' } } });
+		const expiresAt = Date.parse(stored.expiresAt);
+		expect(expiresAt - Date.now()).toBeGreaterThan(3500 * 1000);
+		expect(expiresAt - Date.now()).toBeLessThanOrEqual(3600 * 1000);
+		// The pending record disappears from KV on its own
+		expect(env.SUBMISSIONS_KV.entries.get(`submission:${id}`).expiration).toBe(Math.floor(expiresAt / 1000));
+	});
+
+	it('sends the notification and auto-reply only when the confirmation page is submitted', async () => {
+		const { id } = await (await submitForm(env, 'message', formFixtures.message.body)).json();
+		const [, token] = sent[0].html.match(/\/confirm\/([^"]+)"/);
+
+		// Opening the link, as a mail scanner would, changes nothing
+		const page = await runWorker(new Request(confirmPath(token)), env);
+		expect(page.status).toBe(200);
+		expect(await page.text()).toContain('method="POST"');
+		expect(sent).toHaveLength(1);
+		expect(JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`)).status).toBe('unconfirmed');
+
+		const confirmed = await runWorker(new Request(confirmPath(token), { method: 'POST' }), env);
+		expect(confirmed.status).toBe(200);
+		expect(sent).toHaveLength(3);
+		expect(sent[1].to).toEqual([{ email: 'owner@example.com' }]);
+		expect(sent[2].to[0].email).toBe(formFixtures.message.replyTo);
+
+		const stored = JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`));
+		expect(stored).toMatchObject({ status: 'new', expiresAt: null, confirmedAt: expect.any(String) });
+		expect(stored.delivery).toMatchObject({
+			status: 'sent',
+			emails: { confirmation: { status: 'sent' }, notification: { status: 'sent' }, autoReply: { status: 'sent' } },
+		});
+		expect(env.SUBMISSIONS_KV.entries.get(`submission:${id}`).expiration).toBeUndefined();
+
+		// Confirming again sends nothing more
+		await runWorker(new Request(confirmPath(token), { method: 'POST' }), env);
+		expect(sent).toHaveLength(3);
+	});
+
+	it('rejects tampered confirmation links', async () => {
+		await submitForm(env, 'message', formFixtures.message.body);
+		const [, token] = sent[0].html.match(/\/confirm\/([^"]+)"/);
+
+		const response = await runWorker(new Request(confirmPath(`${token}x`), { method: 'POST' }), env);
+		expect(response.status).toBe(403);
+		expect(sent).toHaveLength(1);
+	});
+});
+
+describe('interview scheduling', () => {
+	it('records the reply to the recruiter without changing the notification status', async () => {
+		installFakeEmailProvider({ status: 400 });
+		const { id } = await (await submitForm(env, 'interview_proposal', formFixtures.interview_proposal.body)).json();
+		expect(JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`)).delivery.status).toBe('failed');
+
+		sent = installFakeEmailProvider();
+		const accept = await signUrl('test-signing-secret', `https://forms.example.com/interviews/${id}/accept/1`, 3600);
+		const response = await runWorker(new Request(accept, { method: 'POST' }), env);
+		expect(response.status).toBe(200);
+		expect(sent).toHaveLength(1);
+		expect(sent[0].to[0].email).toBe(formFixtures.interview_proposal.replyTo);
+
+		const stored = JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`));
+		expect(stored.interview).toMatchObject({ status: 'accepted', chosenSlot: 1 });
+		expect(stored.delivery).toMatchObject({
+			status: 'failed',
+			emails: { notification: { status: 'failed' }, interviewReply: { status: 'sent' } },
+		});
+	});
+});
+
+const PDF = new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x2d, 0x31, 0x2e, 0x34, 0x0a]);
+
+const postMultipart = (file) => {
+	const form = new FormData();
+	for (const [name, value] of Object.entries(formFixtures.quote.body)) form.append(name, value);
+	form.append('files', file);
+	return runWorker(
+		new Request('https://forms.example.com/v1/forms/quote', {
+			method: 'POST',
+			headers: { 'X-API-Key': API_KEY, Origin: ORIGIN },
+			body: form,
+		}),
+		env
+	);
+};
+
+describe('multipart submissions', () => {
+	beforeEach(() => {
+		env = createTestEnv({ ATTACHMENTS_BUCKET: bindings.ATTACHMENTS_BUCKET });
+	});
+
+	it('stores the file in R2 and links it from the notification with a signed URL', async () => {
+		const response = await postMultipart(new File([PDF], 'brief.pdf', { type: 'application/pdf' }));
+		expect(response.status).toBe(202);
+		const { id } = await response.json();
+
+		const stored = JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`));
+		expect(stored.attachments).toEqual([
+			expect.objectContaining({
+				key: `attachments/${id}/1-brief.pdf`,
+				filename: 'brief.pdf',
+				contentType: 'application/pdf',
+				size: PDF.length,
+			}),
+		]);
+
+		const [, link] = sent[0].html.match(/href="(https:\/\/forms\.example\.com\/attachments\/[^"]+)"/);
+		const download = await runWorker(new Request(link.replace(/&amp;/g, '&')), env);
+		expect(download.status).toBe(200);
+		expect(new Uint8Array(await download.arrayBuffer())).toEqual(PDF);
+
+		const tampered = new URL(link.replace(/&amp;/g, '&'));
+		tampered.pathname = tampered.pathname.replace('1-brief.pdf', '2-other.pdf');
+		expect((await runWorker(new Request(tampered), env)).status).toBe(403);
+	});
+
+	it('delivers a resubmission with the same text but a different file', async () => {
+		const first = await postMultipart(new File([PDF], 'brief.pdf', { type: 'application/pdf' }));
+		const second = await postMultipart(new File([PDF], 'brief-v2.pdf', { type: 'application/pdf' }));
+		const repeat = await postMultipart(new File([PDF], 'brief-v2.pdf', { type: 'application/pdf' }));
+
+		expect(await first.json()).not.toHaveProperty('duplicate');
+		expect(await second.json()).not.toHaveProperty('duplicate');
+		expect(await repeat.json()).toMatchObject({ duplicate: true });
+		expect(sent).toHaveLength(4);
+	});
+
+	it('rejects a file whose content does not match its declared type', async () => {
+		const response = await postMultipart(new File([new Uint8Array([0x4d, 0x5a, 0x90, 0x00])], 'brief.pdf', { type: 'application/pdf' }));
+
+		expect(response.status).toBe(422);
+		const body = await response.json();
+		expect(body.details).toEqual([expect.objectContaining({ field: 'files', code: 'file_type_mismatch' })]);
+		expect(sent).toHaveLength(0);
+	});
+});
+
+describe('privacy requests and retention', () => {
+	const DAY_MS = 24 * 60 * 60 * 1000;
+	const admin = (path, init = {}) =>
+		runWorker(new Request(`https://forms.example.com${path}`, { ...init, headers: { Authorization: `Bearer ${ADMIN_API_KEY}` } }), env);
+	const erase = (body) => admin('/privacy/erase', { method: 'POST', body: JSON.stringify(body) });
+	const brief = () => new File([PDF], 'brief.pdf', { type: 'application/pdf' });
+
+	// A stored `message` submission created `ageDays` ago
+	const storeMessage = async (ageDays, fields = formFixtures.message.body) => {
+		const createdAt = Date.now() - ageDays * DAY_MS;
+		const record = buildSubmission({ siteId: 'default', formType: 'message', fields, language: 'en', ip: '203.0.113.7', userAgent: '' });
+		return saveSubmission(env, { ...record, id: submissionId(createdAt), createdAt: new Date(createdAt).toISOString() });
+	};
+
+	beforeEach(() => {
+		env = createTestEnv({ ATTACHMENTS_BUCKET: bindings.ATTACHMENTS_BUCKET, RETENTION_DAYS: '30' });
+	});
+
+	it('exports and erases the submissions, files and dead letters of an email address', async () => {
+		installFakeEmailProvider({ status: 400 });
+		const { id } = await (await postMultipart(brief())).json();
+		sent = installFakeEmailProvider();
+		const other = await storeMessage(0);
+		const { key } = JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`)).attachments[0];
+
+		const exported = await admin('/privacy/export?email=JANE@example.com');
+		expect(exported.status).toBe(200);
+		const data = await exported.json();
+		expect(data.submissions.map((record) => record.id)).toEqual([id]);
+		expect(data.submissions[0].attachments[0].url).toContain(`/${key}?`);
+		expect(data.deadLetters).toEqual([expect.objectContaining({ submissionId: id })]);
+		expect(data.cursor).toBeNull();
+
+		const erased = await erase({ email: 'jane@example.com' });
+		expect(erased.status).toBe(200);
+		expect((await erased.json()).erased).toEqual({ submissions: [id], deadLetters: [data.deadLetters[0].id] });
+		expect(await env.SUBMISSIONS_KV.get(`submission:${id}`)).toBeNull();
+		expect(await bindings.ATTACHMENTS_BUCKET.head(key)).toBeNull();
+		expect((await env.SUBMISSIONS_KV.list({ prefix: 'dead_letter:' })).keys).toEqual([]);
+		expect(await env.SUBMISSIONS_KV.get(`submission:${other.id}`)).not.toBeNull();
+
+		expect((await erase({ email: 'not-an-email' })).status).toBe(400);
+		expect((await runWorker(new Request('https://forms.example.com/privacy/export?email=jane@example.com'), env)).status).toBe(401);
+	});
+
+	it('scans the store one page at a time', async () => {
+		for (let i = 0; i < 501; i++) await storeMessage(0);
+
+		const first = await (await admin('/privacy/export?email=sam@example.com')).json();
+		expect(first.submissions).toHaveLength(500);
+		expect(first.cursor).toBeTruthy();
+
+		const second = await (await admin(`/privacy/export?email=sam@example.com&cursor=${first.cursor}`)).json();
+		expect(second.submissions).toHaveLength(1);
+		expect(second.cursor).toBeNull();
+
+		const erased = await (await erase({ email: 'sam@example.com', cursor: first.cursor })).json();
+		expect(erased.erased.submissions).toEqual([second.submissions[0].id]);
+		expect(erased.cursor).toBeNull();
+	});
+
+	it('purges submissions older than the retention period with their files', async () => {
+		const { id } = await (await postMultipart(brief())).json();
+		const upload = JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`));
+		await saveSubmission(env, { ...upload, createdAt: new Date(Date.now() - 31 * DAY_MS).toISOString() });
+		const { key } = upload.attachments[0];
+		const old = await storeMessage(31);
+		const recent = await storeMessage(29);
+
+		const result = await purgeExpiredData(env);
+		expect(result).toMatchObject({ submissions: 2, orphanedAttachments: 0, complete: true });
+		expect(await env.SUBMISSIONS_KV.get(`submission:${old.id}`)).toBeNull();
+		expect(await env.SUBMISSIONS_KV.get(`submission:${id}`)).toBeNull();
+		expect(await bindings.ATTACHMENTS_BUCKET.head(key)).toBeNull();
+		expect(await env.SUBMISSIONS_KV.get(`submission:${recent.id}`)).not.toBeNull();
+	});
+
+	it('deletes the files of submissions that were never confirmed', async () => {
+		env = createTestEnv({ ATTACHMENTS_BUCKET: bindings.ATTACHMENTS_BUCKET, VERIFY_FORM_TYPES: 'quote' });
+		const { id, confirmationRequired } = await (await postMultipart(brief())).json();
+		expect(confirmationRequired).toBe(true);
+		const { key } = JSON.parse(await env.SUBMISSIONS_KV.get(`submission:${id}`)).attachments[0];
+
+		// Fresh uploads may still be waiting for their record
+		expect(await purgeExpiredData(env)).toMatchObject({ orphanedAttachments: 0 });
+		expect(await bindings.ATTACHMENTS_BUCKET.head(key)).not.toBeNull();
+
+		// As KV does once the confirmation window passes
+		await env.SUBMISSIONS_KV.delete(`submission:${id}`);
+		expect(await purgeExpiredData(env, Date.now() + 2 * 60 * 60 * 1000)).toMatchObject({ orphanedAttachments: 1 });
+		expect(await bindings.ATTACHMENTS_BUCKET.head(key)).toBeNull();
+	});
+});
@@ -1,10 +1,18 @@
 import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
 
+// Tests build their own env (see test/helpers.js), so they do not need the
+// gitignored wrangler.jsonc or any real bindings. Miniflare provides a local
+// R2 bucket for the attachment tests.
 export default defineWorkersConfig({
 	test: {
 		poolOptions: {
 			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
+				main: './src/index.js',
+				miniflare: {
+					compatibilityDate: '2025-05-01',
+					compatibilityFlags: ['nodejs_compat'],
+					r2Buckets: ['ATTACHMENTS_BUCKET'],
+				},
 			},
 		},
 	},